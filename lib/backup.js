@@ -0,0 +1,144 @@
+// DX - Database snapshots
+// A snapshot is the full database exported as JSON, written next to a
+// sha256sum-style checksum file. Snapshots are rotated so only the newest
+// `keep` remain. Restoring validates the file before anything is replaced.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { schemaVersion, loadMigrations } = require('./migrate');
+
+const SNAPSHOT_FORMAT = 'dx-snapshot';
+const SNAPSHOT_NAME = /^snapshot-[\w-]+\.json$/;
+
+class SnapshotError extends Error {}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function createBackupManager(store, { dir, keep = 24 }) {
+  function ensureDir() {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  function snapshotPath(name) {
+    if (!SNAPSHOT_NAME.test(name)) {
+      throw new SnapshotError('Invalid snapshot name');
+    }
+    return path.join(dir, name);
+  }
+
+  function snapshot(label = 'scheduled') {
+    ensureDir();
+
+    const createdAt = new Date().toISOString();
+    const name = `snapshot-${createdAt.replace(/[:.]/g, '-')}-${label}.json`;
+    const content = JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      created_at: createdAt,
+      label,
+      driver: store.driver,
+      schema_version: schemaVersion(store),
+      data: store.exportData()
+    });
+    const checksum = sha256(content);
+
+    const file = snapshotPath(name);
+    fs.writeFileSync(`${file}.tmp`, content);
+    fs.renameSync(`${file}.tmp`, file);
+    fs.writeFileSync(`${file}.sha256`, `${checksum}  ${name}\n`);
+
+    rotate();
+    return { name, created_at: createdAt, size: Buffer.byteLength(content), checksum };
+  }
+
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(name => SNAPSHOT_NAME.test(name))
+      .map(name => {
+        const file = path.join(dir, name);
+        const checksumFile = `${file}.sha256`;
+        return {
+          name,
+          size: fs.statSync(file).size,
+          created_at: fs.statSync(file).mtime.toISOString(),
+          checksum: fs.existsSync(checksumFile) ? fs.readFileSync(checksumFile, 'utf8').split(/\s+/)[0] : null
+        };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  function rotate() {
+    list().slice(keep).forEach(old => {
+      const file = path.join(dir, old.name);
+      fs.unlinkSync(file);
+      if (fs.existsSync(`${file}.sha256`)) {
+        fs.unlinkSync(`${file}.sha256`);
+      }
+    });
+  }
+
+  // Reads and checks a snapshot; throws SnapshotError with the reason if it
+  // cannot safely be restored
+  function validate(name) {
+    const file = snapshotPath(name);
+    if (!fs.existsSync(file)) {
+      throw new SnapshotError('Snapshot not found');
+    }
+    if (!fs.existsSync(`${file}.sha256`)) {
+      throw new SnapshotError('Snapshot has no checksum file');
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    const expected = fs.readFileSync(`${file}.sha256`, 'utf8').split(/\s+/)[0];
+    if (sha256(content) !== expected) {
+      throw new SnapshotError('Snapshot checksum does not match');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (e) {
+      throw new SnapshotError('Snapshot is not valid JSON');
+    }
+
+    if (parsed.format !== SNAPSHOT_FORMAT || !parsed.data || typeof parsed.data !== 'object') {
+      throw new SnapshotError('File is not a DX snapshot');
+    }
+
+    const invalid = Object.keys(parsed.data).filter(key =>
+      !Array.isArray(parsed.data[key]) || parsed.data[key].some(row => !Number.isInteger(row.id))
+    );
+    if (invalid.length > 0) {
+      throw new SnapshotError(`Snapshot has malformed collections: ${invalid.join(', ')}`);
+    }
+    if (!Array.isArray(parsed.data.users)) {
+      throw new SnapshotError('Snapshot has no users collection');
+    }
+
+    const latest = loadMigrations().reduce((max, m) => Math.max(max, m.version), 0);
+    if (parsed.schema_version > latest) {
+      throw new SnapshotError(`Snapshot schema ${parsed.schema_version} is newer than this server (${latest})`);
+    }
+
+    return parsed;
+  }
+
+  // Replaces the live database with a validated snapshot. The caller is
+  // responsible for maintenance mode and for migrating the result.
+  function restore(name) {
+    const parsed = validate(name);
+    const safety = snapshot('pre-restore');
+    store.importData(parsed.data);
+    return { restored: name, schema_version: parsed.schema_version, pre_restore_snapshot: safety.name };
+  }
+
+  return { snapshot, list, validate, restore };
+}
+
+module.exports = { createBackupManager, SnapshotError };
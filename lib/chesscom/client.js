@@ -0,0 +1,166 @@
+// DX - Chess.com public API client
+// Read-only client for the Chess.com published-data API
+// (https://www.chess.com/news/view/published-data-api). It needs no token.
+// Chess.com asks callers to send a User-Agent with contact details and to
+// make requests one at a time; a 429 pauses all requests for a minute.
+// Monthly archives of past months never change and are cached.
+
+const axios = require('axios');
+const { ProviderError } = require('../errors');
+
+class ChesscomError extends ProviderError {}
+
+class ChesscomNotFoundError extends ChesscomError {
+  constructor(message = 'Not found on Chess.com') {
+    super(message, 404);
+  }
+}
+
+class ChesscomRateLimitError extends ChesscomError {
+  constructor(retryAfterSeconds) {
+    super(`Chess.com is limiting our requests, please try again in ${retryAfterSeconds} seconds`, 503);
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+class ChesscomUnavailableError extends ChesscomError {
+  constructor(detail) {
+    super('Chess.com is unavailable right now, please try again shortly', 502);
+    this.detail = detail;
+  }
+}
+
+const RATE_LIMIT_SECONDS = 60;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createChesscomClient({
+  apiBase = 'https://api.chess.com/pub',
+  userAgent = 'DX chess staking',
+  timeoutMs = 10000,
+  maxRetries = 2,
+  retryBaseMs = 500,
+  cacheSize = 200
+}) {
+  const archives = new Map();
+  let cooldownUntil = 0;
+  let queue = Promise.resolve();
+
+  async function send(url) {
+    const waitSeconds = Math.ceil((cooldownUntil - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      throw new ChesscomRateLimitError(waitSeconds);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await axios.get(url, {
+          timeout: timeoutMs,
+          headers: { 'Accept': 'application/json', 'User-Agent': userAgent },
+          validateStatus: () => true
+        });
+      } catch (error) {
+        if (attempt < maxRetries) {
+          await sleep(retryBaseMs * 2 ** attempt);
+          continue;
+        }
+        throw new ChesscomUnavailableError(error.message);
+      }
+
+      const { status } = response;
+      if (status >= 200 && status < 300) return response.data;
+
+      if (status === 429) {
+        cooldownUntil = Date.now() + RATE_LIMIT_SECONDS * 1000;
+        throw new ChesscomRateLimitError(RATE_LIMIT_SECONDS);
+      }
+      if (status === 404 || status === 410) {
+        throw new ChesscomNotFoundError();
+      }
+      if (status >= 500 && attempt < maxRetries) {
+        await sleep(retryBaseMs * 2 ** attempt);
+        continue;
+      }
+      throw status >= 500
+        ? new ChesscomUnavailableError(`HTTP ${status}`)
+        : new ChesscomError(`Chess.com refused the request (HTTP ${status})`, 502);
+    }
+  }
+
+  // One request at a time, as Chess.com asks
+  function request(url) {
+    const result = queue.then(() => send(url));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function player(username) {
+    try {
+      return await request(`${apiBase}/player/${encodeURIComponent(username.toLowerCase())}`);
+    } catch (error) {
+      if (error instanceof ChesscomNotFoundError) {
+        throw new ChesscomNotFoundError(`Chess.com account ${username} not found`);
+      }
+      throw error;
+    }
+  }
+
+  async function stats(username) {
+    return request(`${apiBase}/player/${encodeURIComponent(username.toLowerCase())}/stats`);
+  }
+
+  // Finished games of one month; an empty list if the player has none
+  async function monthlyGames(username, year, month) {
+    const mm = String(month).padStart(2, '0');
+    const key = `${username.toLowerCase()}/${year}/${mm}`;
+    if (archives.has(key)) return archives.get(key);
+
+    let games;
+    try {
+      games = (await request(`${apiBase}/player/${encodeURIComponent(username.toLowerCase())}/games/${year}/${mm}`)).games || [];
+    } catch (error) {
+      if (error instanceof ChesscomNotFoundError) return [];
+      throw error;
+    }
+
+    const now = new Date();
+    const current = year === now.getUTCFullYear() && month === now.getUTCMonth() + 1;
+    if (!current) {
+      archives.set(key, games);
+      if (archives.size > cacheSize) {
+        archives.delete(archives.keys().next().value);
+      }
+    }
+    return games;
+  }
+
+  // Finished games of a player since a time, oldest first
+  async function gamesSince(username, since) {
+    const start = new Date(since);
+    const now = new Date();
+    const games = [];
+
+    for (let y = start.getUTCFullYear(), m = start.getUTCMonth() + 1;
+      y < now.getUTCFullYear() || (y === now.getUTCFullYear() && m <= now.getUTCMonth() + 1);
+      m === 12 ? (y++, m = 1) : m++) {
+      games.push(...await monthlyGames(username, y, m));
+    }
+
+    return games
+      .filter(game => game.end_time * 1000 >= start.getTime())
+      .sort((a, b) => a.end_time - b.end_time);
+  }
+
+  return { player, stats, gamesSince };
+}
+
+module.exports = {
+  createChesscomClient,
+  ChesscomError,
+  ChesscomNotFoundError,
+  ChesscomRateLimitError,
+  ChesscomUnavailableError
+};
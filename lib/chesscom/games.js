@@ -0,0 +1,156 @@
+// DX - Chess.com game normalization
+// Converts Chess.com archive games and profiles into the Lichess export
+// format the rest of DX works on (see lib/lichess/games.js).
+// A Chess.com game records a result per side, e.g. white "win" and black
+// "resigned"; the loser's result says how the game ended.
+
+// How the game ended, by the losing side's (or a drawn side's) result
+const RESULT_STATUSES = {
+  checkmated: 'mate',
+  resigned: 'resign',
+  timeout: 'outoftime',
+  abandoned: 'timeout',
+  // A loss Chess.com gives no reason for; it settles like a resignation
+  lose: 'resign',
+  stalemate: 'stalemate',
+  agreed: 'draw',
+  repetition: 'draw',
+  insufficient: 'draw',
+  '50move': 'draw',
+  timevsinsufficient: 'draw',
+  threecheck: 'variantEnd',
+  kingofthehill: 'variantEnd'
+};
+
+const RULES_VARIANTS = {
+  chess: 'standard',
+  chess960: 'chess960',
+  crazyhouse: 'crazyhouse',
+  threecheck: 'threeCheck',
+  kingofthehill: 'kingOfTheHill'
+};
+
+// Chess.com ratings categories that hold each Lichess speed. Chess.com has
+// no classical pool; long games are rated as rapid.
+const SPEED_STATS = {
+  bullet: 'chess_bullet',
+  blitz: 'chess_blitz',
+  rapid: 'chess_rapid',
+  classical: 'chess_rapid'
+};
+
+function gameId(game) {
+  return String(game.url || '').split('/').pop() || game.uuid;
+}
+
+function pgnTag(pgn, name) {
+  const match = new RegExp(`\\[${name} "([^"]*)"\\]`).exec(pgn || '');
+  return match ? match[1] : null;
+}
+
+// Start time from the PGN's UTCDate/UTCTime, falling back to the end time
+function startedAt(game) {
+  const date = pgnTag(game.pgn, 'UTCDate');
+  const time = pgnTag(game.pgn, 'UTCTime');
+  if (date && time) {
+    const started = Date.parse(`${date.replace(/\./g, '-')}T${time}Z`);
+    if (!Number.isNaN(started)) return started;
+  }
+  return (game.start_time || game.end_time) * 1000;
+}
+
+// "180+2" -> { initial: 180, increment: 2 }; daily games ("1/86400") have no clock
+function clock(timeControl) {
+  if (!timeControl || timeControl.includes('/')) return null;
+  const [initial, increment] = timeControl.split('+').map(Number);
+  return { initial, increment: increment || 0 };
+}
+
+// Clock after each move from the PGN's {[%clk 0:02:58.5]} comments, in
+// centiseconds like Lichess
+function clocks(pgn) {
+  const found = [];
+  const pattern = /\[%clk (\d+):(\d+):(\d+(?:\.\d+)?)\]/g;
+  let match;
+  while ((match = pattern.exec(pgn || '')) !== null) {
+    const [, h, m, s] = match;
+    found.push(Math.round((parseInt(h) * 3600 + parseInt(m) * 60 + parseFloat(s)) * 100));
+  }
+  return found;
+}
+
+// Space-separated SAN moves from the PGN movetext
+function moves(pgn) {
+  const movetext = String(pgn || '').replace(/\[[^\]]*\]\s*/g, '').replace(/\{[^}]*\}/g, ' ');
+  return movetext
+    .split(/\s+/)
+    .filter(token => token && !/^\d+\.+$/.test(token) && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token))
+    .join(' ');
+}
+
+function opening(game) {
+  const eco = pgnTag(game.pgn, 'ECO');
+  const url = pgnTag(game.pgn, 'ECOUrl') || game.eco;
+  if (!eco && !url) return null;
+  const name = url ? decodeURIComponent(url.split('/').pop()).replace(/-/g, ' ') : null;
+  return { eco, name };
+}
+
+function player(side) {
+  return {
+    user: { id: side.username.toLowerCase(), name: side.username },
+    rating: side.rating
+  };
+}
+
+function normalizeGame(game) {
+  let status;
+  let winner;
+  if (game.white.result === 'win') {
+    winner = 'white';
+    status = RESULT_STATUSES[game.black.result];
+  } else if (game.black.result === 'win') {
+    winner = 'black';
+    status = RESULT_STATUSES[game.white.result];
+  } else {
+    status = RESULT_STATUSES[game.white.result];
+  }
+
+  return {
+    id: gameId(game),
+    url: game.url,
+    rated: !!game.rated,
+    variant: RULES_VARIANTS[game.rules] || game.rules,
+    createdAt: startedAt(game),
+    lastMoveAt: game.end_time * 1000,
+    status: status || game.white.result,
+    winner,
+    players: { white: player(game.white), black: player(game.black) },
+    clock: clock(game.time_control),
+    clocks: clocks(game.pgn),
+    moves: moves(game.pgn),
+    opening: opening(game),
+    pgn: game.pgn
+  };
+}
+
+// Profile and stats in the Lichess user format used by the trust checks
+function normalizeProfile(profile, stats = {}) {
+  const status = profile.status || '';
+  const perfs = {};
+  Object.entries(SPEED_STATS).forEach(([speed, key]) => {
+    const record = stats[key]?.record;
+    perfs[speed] = { games: record ? record.win + record.loss + record.draw : 0 };
+  });
+
+  return {
+    id: profile.username.toLowerCase(),
+    username: profile.username,
+    createdAt: profile.joined * 1000,
+    disabled: status.startsWith('closed'),
+    tosViolation: status === 'closed:fair_play_violations',
+    perfs
+  };
+}
+
+module.exports = { RULES_VARIANTS, gameId, normalizeGame, normalizeProfile };
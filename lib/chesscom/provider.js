@@ -0,0 +1,68 @@
+// DX - Chess.com game provider
+// Adapter for lib/providers built on the public game archives. Chess.com has
+// no OAuth for third parties, so an account is linked by putting a one-time
+// DX code in the Location field of the Chess.com profile; verifyProfileCode
+// checks it is there. Games cannot be created through the API, so players
+// start them on Chess.com and DX finds them in the archive.
+
+const { ChesscomNotFoundError } = require('./client');
+const { RULES_VARIANTS, normalizeGame, normalizeProfile } = require('./games');
+const { checkEligibility } = require('../lichess/eligibility');
+
+function createChesscomProvider({ client }) {
+  // Normalized games of the creator against the opponent since the match began
+  async function gamesBetween(terms) {
+    const [creator, opponent] = terms.players;
+    if (!creator || !opponent) return [];
+
+    const games = await client.gamesSince(creator, terms.startedAt);
+    return games
+      .filter(game => [game.white.username, game.black.username].some(name => name.toLowerCase() === opponent.toLowerCase()))
+      .map(normalizeGame);
+  }
+
+  return {
+    name: 'chesscom',
+    label: 'Chess.com',
+    variants: Object.values(RULES_VARIANTS),
+    // The public stats only cover standard chess by speed
+    variantRatings: false,
+
+    account(user) {
+      return { username: user?.chesscom_username || null, verified: !!user?.chesscom_verified };
+    },
+
+    gameUrl(game) {
+      return game.url || `https://www.chess.com/game/live/${game.id}`;
+    },
+
+    // The archive has no lookup by id, so the match's games are searched
+    async getGame(gameId, terms) {
+      const game = (await gamesBetween(terms)).find(g => g.id === String(gameId));
+      if (!game) {
+        throw new ChesscomNotFoundError('Game not found in the Chess.com archive of this match\'s players');
+      }
+      return game;
+    },
+
+    async findGame(terms) {
+      const games = await gamesBetween(terms);
+      return games.find(game => checkEligibility(game, terms).eligible) || null;
+    },
+
+    async profile(username) {
+      const profile = await client.player(username);
+      const stats = await client.stats(username);
+      return normalizeProfile(profile, stats);
+    },
+
+    // Canonical username if the code is in the profile's Location field
+    async verifyProfileCode(username, code) {
+      const profile = await client.player(username);
+      if (!String(profile.location || '').includes(code)) return null;
+      return profile.username;
+    }
+  };
+}
+
+module.exports = { createChesscomProvider };
@@ -0,0 +1,21 @@
+// DX - Shared error types
+// Routes turn these into HTTP responses in the error handler in server.js.
+
+// Another request changed or is changing the same record; safe to retry
+class ConflictError extends Error {
+  constructor(message = 'This record was changed by another request, please retry') {
+    super(message);
+    this.status = 409;
+  }
+}
+
+// A chess site (Lichess, Chess.com) failed or refused a request. The message
+// can be shown to players as is; rate limits also carry retryAfter seconds.
+class ProviderError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = { ConflictError, ProviderError };
@@ -0,0 +1,194 @@
+// DX - Fair-play screening
+// Scores each player of a settled game by accuracy and average centipawn
+// loss. Lichess's own computer analysis is used when the export has it;
+// otherwise a local Stockfish binary analyses the stored PGN. Players who
+// are suspiciously close to perfect are flagged for admin review.
+
+const { spawn } = require('child_process');
+const { Chess } = require('chess.js');
+
+// Evaluations are capped so one missed mate does not swamp the average
+const MAX_CP = 1000;
+
+// Lichess's win-probability curve and per-move accuracy formula
+function winPercent(cp) {
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+function moveAccuracy(winBefore, winAfter) {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, winBefore - winAfter)) - 3.1669;
+  return Math.min(100, Math.max(0, accuracy));
+}
+
+function plyCount(game) {
+  return game.moves ? game.moves.trim().split(/\s+/).length : 0;
+}
+
+// { white: { accuracy, acpl, moves }, black: ... } from the Lichess export,
+// or null when the game was never analysed on Lichess
+function analysisFromLichess(game) {
+  const white = game.players?.white?.analysis;
+  const black = game.players?.black?.analysis;
+  if (!white || !black || white.acpl === undefined || black.acpl === undefined) return null;
+
+  const plies = plyCount(game);
+  return {
+    white: { accuracy: white.accuracy ?? null, acpl: white.acpl, moves: Math.ceil(plies / 2) },
+    black: { accuracy: black.accuracy ?? null, acpl: black.acpl, moves: Math.floor(plies / 2) }
+  };
+}
+
+// Minimal UCI session: evaluates each position at a fixed depth
+function openEngine(path) {
+  const engine = spawn(path, [], { stdio: ['pipe', 'pipe', 'ignore'] });
+  let buffer = '';
+  let waiter = null;
+
+  engine.stdout.on('data', chunk => {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => waiter && waiter(line.trim()));
+  });
+
+  const exited = new Promise((resolve, reject) => {
+    engine.on('error', reject);
+    engine.on('exit', () => reject(new Error('Stockfish exited')));
+  });
+  exited.catch(() => {});
+  engine.stdin.on('error', () => {});
+
+  function send(command) {
+    engine.stdin.write(`${command}\n`);
+  }
+
+  function until(command, test) {
+    const reply = new Promise(resolve => {
+      waiter = line => {
+        if (test(line)) {
+          waiter = null;
+          resolve(line);
+        }
+      };
+    });
+    send(command);
+    return Promise.race([reply, exited]);
+  }
+
+  // Score in centipawns from white's point of view
+  async function evaluate(moves, depth) {
+    let score = 0;
+    send(moves.length > 0 ? `position startpos moves ${moves.join(' ')}` : 'position startpos');
+    await until(`go depth ${depth}`, line => {
+      const cp = /score cp (-?\d+)/.exec(line);
+      const mate = /score mate (-?\d+)/.exec(line);
+      if (cp) score = parseInt(cp[1]);
+      if (mate) score = parseInt(mate[1]) > 0 ? MAX_CP : -MAX_CP;
+      return line.startsWith('bestmove');
+    });
+    const whiteToMove = moves.length % 2 === 0;
+    return Math.max(-MAX_CP, Math.min(MAX_CP, whiteToMove ? score : -score));
+  }
+
+  return {
+    ready: () => until('uci', line => line === 'uciok').then(() => until('isready', line => line === 'readyok')),
+    evaluate,
+    close: () => engine.kill()
+  };
+}
+
+async function analyseWithStockfish(pgn, { path, depth = 12, timeoutMs = 120000 }) {
+  const chess = new Chess();
+  chess.loadPgn(pgn);
+  const moves = chess.history({ verbose: true }).map(m => m.lan);
+
+  const engine = openEngine(path);
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Stockfish analysis timed out')), timeoutMs);
+  });
+
+  try {
+    return await Promise.race([timeout, (async () => {
+      await engine.ready();
+
+      const evals = [];
+      for (let ply = 0; ply <= moves.length; ply++) {
+        evals.push(await engine.evaluate(moves.slice(0, ply), depth));
+      }
+
+      const sides = { white: { loss: 0, accuracy: 0, moves: 0 }, black: { loss: 0, accuracy: 0, moves: 0 } };
+      for (let ply = 0; ply < moves.length; ply++) {
+        const side = ply % 2 === 0 ? 'white' : 'black';
+        const sign = side === 'white' ? 1 : -1;
+        const before = evals[ply] * sign;
+        const after = evals[ply + 1] * sign;
+
+        sides[side].loss += Math.max(0, before - after);
+        sides[side].accuracy += moveAccuracy(winPercent(before), winPercent(after));
+        sides[side].moves++;
+      }
+
+      const summary = s => ({
+        accuracy: s.moves > 0 ? Math.round(s.accuracy / s.moves) : null,
+        acpl: s.moves > 0 ? Math.round(s.loss / s.moves) : null,
+        moves: s.moves
+      });
+      return { white: summary(sides.white), black: summary(sides.black) };
+    })()]);
+  } finally {
+    clearTimeout(timer);
+    engine.close();
+  }
+}
+
+function createFairPlay({ stockfishPath = '', depth = 12, maxAccuracy = 97, minAcpl = 10, minMoves = 20 }) {
+  function judge(players, source) {
+    const reasons = [];
+
+    ['white', 'black'].forEach(side => {
+      const p = players[side];
+      if (p.moves < minMoves) return;
+      if (p.accuracy !== null && p.accuracy >= maxAccuracy) {
+        reasons.push(`${side} accuracy ${p.accuracy}% is at or above ${maxAccuracy}%`);
+      }
+      if (p.acpl !== null && p.acpl <= minAcpl) {
+        reasons.push(`${side} average centipawn loss ${p.acpl} is at or below ${minAcpl}`);
+      }
+    });
+
+    return {
+      status: reasons.length > 0 ? 'flagged' : 'clear',
+      source,
+      players,
+      reasons,
+      screened_at: new Date().toISOString()
+    };
+  }
+
+  // Immediate verdict from the Lichess export. Without Lichess analysis the
+  // game waits for Stockfish if one is configured.
+  function screenGame(game) {
+    const players = analysisFromLichess(game);
+    if (players) return judge(players, 'lichess');
+
+    // Stockfish here only plays standard chess
+    const canAnalyse = !!stockfishPath && (game.variant || 'standard') === 'standard';
+    return {
+      status: canAnalyse ? 'pending' : 'unavailable',
+      source: null,
+      players: null,
+      reasons: [],
+      screened_at: canAnalyse ? null : new Date().toISOString()
+    };
+  }
+
+  async function screenPgn(pgn) {
+    const players = await analyseWithStockfish(pgn, { path: stockfishPath, depth });
+    return judge(players, 'stockfish');
+  }
+
+  return { screenGame, screenPgn };
+}
+
+module.exports = { createFairPlay, analysisFromLichess, analyseWithStockfish };
@@ -0,0 +1,90 @@
+// DX - Idempotency keys for money-moving routes
+// The first response for (user, Idempotency-Key) is stored and replayed on
+// retries, so a double click or a flaky mobile connection cannot deposit,
+// accept or pay out twice. Requests without the header are not affected.
+
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+
+function fingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+function createIdempotency(store, { ttlHours = 24 } = {}) {
+  const { findOne, insert, update } = store;
+
+  function isExpired(record) {
+    return new Date(record.created_at) < new Date(Date.now() - ttlHours * 60 * 60 * 1000);
+  }
+
+  // Express middleware; must run after authenticateToken
+  function idempotent(req, res, next) {
+    const key = req.headers['idempotency-key'];
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const requestHash = fingerprint(req);
+    let record = findOne('idempotency_keys', { user_id: req.user.id, key });
+
+    if (record && !isExpired(record)) {
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+
+      if (record.state === 'in_progress') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      if (record.state === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.status_code).json(record.response_body);
+      }
+    }
+
+    // New key, an expired one, or a retry after a server error: run the handler
+    const fields = {
+      user_id: req.user.id,
+      key,
+      request_hash: requestHash,
+      state: 'in_progress',
+      status_code: null,
+      response_body: null
+    };
+    record = record ? update('idempotency_keys', record.id, { ...fields, created_at: new Date().toISOString() })
+      : insert('idempotency_keys', fields);
+
+    let settled = false;
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      if (!settled) {
+        settled = true;
+        // 5xx means nothing was committed, so allow the client to retry
+        update('idempotency_keys', record.id, res.statusCode >= 500
+          ? { state: 'failed' }
+          : { state: 'completed', status_code: res.statusCode, response_body: body });
+      }
+      return json(body);
+    };
+
+    res.on('close', () => {
+      if (!settled) {
+        settled = true;
+        update('idempotency_keys', record.id, { state: 'failed' });
+      }
+    });
+
+    next();
+  }
+
+  return { idempotent };
+}
+
+module.exports = { createIdempotency };
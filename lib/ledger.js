@@ -0,0 +1,154 @@
+// DX - Double-entry ledger
+// Every money movement is a posting whose legs sum to zero. User balances on
+// the users table are a cache maintained here and nowhere else:
+//   user:<id>:available -> wallet_balance
+//   user:<id>:held      -> reserved_balance (stakes of challenges not yet accepted)
+//   user:<id>:escrow    -> locked_balance (stakes of running matches)
+
+const ACCOUNTS = {
+  PLATFORM_FEES: 'platform:fees',
+  GATEWAY: 'external:gateway',
+  available: userId => `user:${userId}:available`,
+  held: userId => `user:${userId}:held`,
+  escrow: userId => `user:${userId}:escrow`
+};
+
+// Which cached column on the user row mirrors each user account kind
+const BALANCE_FIELDS = {
+  available: 'wallet_balance',
+  held: 'reserved_balance',
+  escrow: 'locked_balance'
+};
+
+class LedgerError extends Error {}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function parseAccount(account) {
+  const match = /^user:(\d+):(\w+)$/.exec(account);
+  return match ? { userId: parseInt(match[1]), kind: match[2] } : null;
+}
+
+function createLedger(store) {
+  const { findById, findAll, insert, update, transaction } = store;
+
+  // legs: [{ account, amount }] where a positive amount increases the account
+  function post({ type, reference_id, description, legs }) {
+    legs.forEach(leg => {
+      if (typeof leg.amount !== 'number' || !Number.isFinite(leg.amount)) {
+        throw new LedgerError(`Posting ${type} (${reference_id}) has a non-numeric amount for ${leg.account}`);
+      }
+    });
+
+    const normalized = legs
+      .map(leg => ({ account: leg.account, amount: roundAmount(leg.amount) }))
+      .filter(leg => leg.amount !== 0);
+
+    const total = roundAmount(normalized.reduce((sum, leg) => sum + leg.amount, 0));
+    if (total !== 0) {
+      throw new LedgerError(`Unbalanced posting ${type} (${reference_id}): legs sum to ${total}`);
+    }
+
+    return transaction(() => {
+      normalized.forEach(leg => {
+        const parsed = parseAccount(leg.account);
+        if (!parsed) return;
+
+        const field = BALANCE_FIELDS[parsed.kind];
+        if (!field) {
+          throw new LedgerError(`Unknown account ${leg.account}`);
+        }
+
+        const user = findById('users', parsed.userId);
+        if (!user) {
+          throw new LedgerError(`Unknown user for account ${leg.account}`);
+        }
+
+        const next = roundAmount(user[field] + leg.amount);
+        if (next < 0) {
+          throw new LedgerError(`Posting ${type} would overdraw ${leg.account}`);
+        }
+        update('users', user.id, { [field]: next });
+      });
+
+      return insert('ledger', {
+        type,
+        reference_id,
+        description,
+        legs: normalized
+      });
+    });
+  }
+
+  function transfer(from, to, amount, meta) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw new LedgerError(`Transfer ${meta.type} (${meta.reference_id}) needs a positive amount, got ${amount}`);
+    }
+    return post({
+      ...meta,
+      legs: [
+        { account: from, amount: -amount },
+        { account: to, amount }
+      ]
+    });
+  }
+
+  // Every account's balance from one pass over the postings: account -> amount
+  function balances() {
+    const totals = new Map();
+    findAll('ledger').forEach(posting => posting.legs.forEach(leg => {
+      totals.set(leg.account, (totals.get(leg.account) || 0) + leg.amount);
+    }));
+    totals.forEach((amount, account) => totals.set(account, roundAmount(amount)));
+    return totals;
+  }
+
+  function balance(account) {
+    return balances().get(account) || 0;
+  }
+
+  function postings(account) {
+    return findAll('ledger', p => !account || p.legs.some(leg => leg.account === account));
+  }
+
+  // Users created before the ledger existed carry balances with no postings.
+  // Book those once against the gateway so the ledger and the cache agree.
+  // Users that already have postings are never touched, so later drift still
+  // shows up in reconciliation instead of being booked away.
+  function openLegacyBalances() {
+    const booked = new Set();
+    findAll('ledger').forEach(posting => posting.legs.forEach(leg => {
+      const parsed = parseAccount(leg.account);
+      if (parsed) booked.add(parsed.userId);
+    }));
+
+    transaction(() => {
+      findAll('users').forEach(user => {
+        const reference_id = `OPEN${user.id}`;
+        if (booked.has(user.id)) return;
+        if (!user.wallet_balance && !user.locked_balance) return;
+
+        // Write the posting directly: the cached balances are already correct
+        insert('ledger', {
+          type: 'opening_balance',
+          reference_id,
+          description: 'Balance carried over from before the ledger',
+          legs: [
+            { account: ACCOUNTS.available(user.id), amount: roundAmount(user.wallet_balance) },
+            { account: ACCOUNTS.escrow(user.id), amount: roundAmount(user.locked_balance) },
+            {
+              account: ACCOUNTS.GATEWAY,
+              amount: -roundAmount(user.wallet_balance + user.locked_balance)
+            }
+          ].filter(leg => leg.amount !== 0)
+        });
+      });
+    });
+  }
+
+  return { post, transfer, balance, balances, postings, openLegacyBalances };
+}
+
+module.exports = { createLedger, LedgerError, ACCOUNTS, roundAmount };
@@ -0,0 +1,349 @@
+// DX - Lichess API client
+// Every call to Lichess goes through here. Reads are retried with backoff on
+// timeouts and 5xx answers. A 429 pauses all requests for the Retry-After
+// period (a minute if Lichess does not say), as Lichess asks API users to.
+// Finished games never change, so they are cached by id. Games are fetched
+// with their PGN, opening, clocks and any computer analysis so a settled
+// match keeps the record and can be screened for engine use.
+// Failures are thrown as LichessError subclasses carrying an HTTP status and
+// a message that can be shown to players as is.
+
+const axios = require('axios');
+const { ProviderError } = require('../errors');
+const { isFinished } = require('./games');
+
+class LichessError extends ProviderError {}
+
+class LichessNotFoundError extends LichessError {
+  constructor(message = 'Not found on Lichess') {
+    super(message, 404);
+  }
+}
+
+class LichessRateLimitError extends LichessError {
+  constructor(retryAfterSeconds) {
+    super(`Lichess is limiting our requests, please try again in ${retryAfterSeconds} seconds`, 503);
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+class LichessTimeoutError extends LichessError {
+  constructor() {
+    super('Lichess did not answer in time, please try again', 504);
+  }
+}
+
+class LichessUnavailableError extends LichessError {
+  constructor(detail) {
+    super('Lichess is unavailable right now, please try again shortly', 502);
+    this.detail = detail;
+  }
+}
+
+const DEFAULT_RATE_LIMIT_SECONDS = 60;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createLichessClient({
+  apiBase,
+  siteBase,
+  token = '',
+  timeoutMs = 10000,
+  maxRetries = 2,
+  retryBaseMs = 500,
+  maxRetryWaitMs = 5000,
+  cacheSize = 500
+}) {
+  const cache = new Map();
+  let cooldownUntil = 0;
+
+  const metrics = {
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    retries: 0,
+    rate_limited: 0,
+    timeouts: 0,
+    cache_hits: 0,
+    cache_misses: 0,
+    total_latency_ms: 0,
+    last_error: null,
+    last_error_at: null
+  };
+
+  function fail(error) {
+    metrics.failures++;
+    metrics.last_error = error.message;
+    metrics.last_error_at = new Date().toISOString();
+    return error;
+  }
+
+  function backoff(attempt) {
+    return retryBaseMs * 2 ** attempt + Math.floor(Math.random() * retryBaseMs);
+  }
+
+  // retry: whether the call is safe to repeat. Writes only retry after a 429,
+  // when Lichess has told us it did nothing.
+  async function request({ method = 'GET', url, params, data, headers = {}, accessToken = token, responseType, retry = method === 'GET' }) {
+    const waitSeconds = Math.ceil((cooldownUntil - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      throw fail(new LichessRateLimitError(waitSeconds));
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      metrics.requests++;
+      const started = Date.now();
+      let response;
+
+      try {
+        response = await axios({
+          method,
+          url,
+          params,
+          data,
+          responseType,
+          timeout: timeoutMs,
+          headers: {
+            'Accept': 'application/json',
+            ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}),
+            ...headers
+          },
+          validateStatus: () => true
+        });
+      } catch (error) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        if (timedOut) metrics.timeouts++;
+
+        if (retry && attempt < maxRetries) {
+          metrics.retries++;
+          await sleep(backoff(attempt));
+          continue;
+        }
+        throw fail(timedOut ? new LichessTimeoutError() : new LichessUnavailableError(error.message));
+      } finally {
+        metrics.total_latency_ms += Date.now() - started;
+      }
+
+      const { status } = response;
+
+      if (status >= 200 && status < 300) {
+        metrics.successes++;
+        return response.data;
+      }
+
+      if (status === 429) {
+        metrics.rate_limited++;
+        const retryAfter = parseInt(response.headers['retry-after']) || DEFAULT_RATE_LIMIT_SECONDS;
+        cooldownUntil = Math.max(cooldownUntil, Date.now() + retryAfter * 1000);
+
+        if (attempt < maxRetries && retryAfter * 1000 <= maxRetryWaitMs) {
+          metrics.retries++;
+          await sleep(retryAfter * 1000);
+
+          // Another request may have hit a longer 429 meanwhile; that
+          // cooldown stays in place and this retry waits for it too
+          const stillWaiting = Math.ceil((cooldownUntil - Date.now()) / 1000);
+          if (stillWaiting > 0) {
+            throw fail(new LichessRateLimitError(stillWaiting));
+          }
+          continue;
+        }
+        throw fail(new LichessRateLimitError(retryAfter));
+      }
+
+      if (status === 404) {
+        throw fail(new LichessNotFoundError());
+      }
+
+      if (status >= 500 && retry && attempt < maxRetries) {
+        metrics.retries++;
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      throw fail(status >= 500
+        ? new LichessUnavailableError(`HTTP ${status}`)
+        : new LichessError(`Lichess refused the request (HTTP ${status})`, 502));
+    }
+  }
+
+  function cacheGame(game) {
+    if (!isFinished(game)) return;
+    cache.delete(game.id);
+    cache.set(game.id, game);
+    if (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  async function exportGame(gameId) {
+    if (cache.has(gameId)) {
+      metrics.cache_hits++;
+      const game = cache.get(gameId);
+      cache.delete(gameId);
+      cache.set(gameId, game);
+      return game;
+    }
+    metrics.cache_misses++;
+
+    try {
+      const game = await request({
+        url: `${siteBase}/game/export/${encodeURIComponent(gameId)}`,
+        params: { evals: true, accuracy: true, clocks: true, moves: true, opening: true, pgnInJson: true }
+      });
+      cacheGame(game);
+      return game;
+    } catch (error) {
+      if (error instanceof LichessNotFoundError) {
+        throw new LichessNotFoundError('Game not found on Lichess');
+      }
+      throw error;
+    }
+  }
+
+  // Finished games between two accounts since a time, oldest first
+  async function gamesBetween(username, opponent, since) {
+    const body = await request({
+      url: `${apiBase}/games/user/${encodeURIComponent(username)}`,
+      params: {
+        vs: opponent,
+        since: new Date(since).getTime(),
+        finished: true,
+        sort: 'dateAsc',
+        evals: true,
+        accuracy: true,
+        clocks: true,
+        moves: true,
+        opening: true,
+        pgnInJson: true,
+        max: 30
+      },
+      headers: { 'Accept': 'application/x-ndjson' },
+      responseType: 'text'
+    });
+
+    const games = String(body)
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+    games.forEach(cacheGame);
+    return games;
+  }
+
+  // Public profile: creation date, closed/ToS flags and per-speed game counts
+  async function user(username) {
+    try {
+      return await request({ url: `${apiBase}/user/${encodeURIComponent(username)}` });
+    } catch (error) {
+      if (error instanceof LichessNotFoundError) {
+        throw new LichessNotFoundError(`Lichess account ${username} not found`);
+      }
+      throw error;
+    }
+  }
+
+  // Open challenge that only the listed users can join
+  async function openChallenge(fields) {
+    return request({
+      method: 'POST',
+      url: `${apiBase}/challenge/open`,
+      data: new URLSearchParams(fields).toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+  }
+
+  // OAuth: these use the player's token, never the server token
+  async function exchangeToken(fields) {
+    return request({
+      method: 'POST',
+      url: `${apiBase}/token`,
+      data: new URLSearchParams(fields).toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      accessToken: null
+    });
+  }
+
+  async function account(accessToken) {
+    return request({ url: `${apiBase}/account`, accessToken });
+  }
+
+  async function revokeToken(accessToken) {
+    return request({ method: 'DELETE', url: `${apiBase}/token`, accessToken });
+  }
+
+  // Opens the NDJSON stream of a game and resolves with the readable body.
+  // Reconnecting is up to the caller (see stream.js).
+  async function openGameStream(gameId) {
+    const waitSeconds = Math.ceil((cooldownUntil - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      throw fail(new LichessRateLimitError(waitSeconds));
+    }
+
+    metrics.requests++;
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url: `${apiBase}/stream/game/${encodeURIComponent(gameId)}`,
+        responseType: 'stream',
+        timeout: timeoutMs,
+        headers: {
+          'Accept': 'application/x-ndjson',
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+        },
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw fail(new LichessUnavailableError(error.message));
+    }
+
+    if (response.status === 200) {
+      metrics.successes++;
+      return response.data;
+    }
+
+    response.data.destroy();
+    if (response.status === 429) {
+      metrics.rate_limited++;
+      const retryAfter = parseInt(response.headers['retry-after']) || DEFAULT_RATE_LIMIT_SECONDS;
+      cooldownUntil = Math.max(cooldownUntil, Date.now() + retryAfter * 1000);
+      throw fail(new LichessRateLimitError(retryAfter));
+    }
+    if (response.status === 404) {
+      throw fail(new LichessNotFoundError('Game not found on Lichess'));
+    }
+    throw fail(new LichessUnavailableError(`HTTP ${response.status}`));
+  }
+
+  function getMetrics() {
+    return {
+      ...metrics,
+      average_latency_ms: metrics.requests > 0 ? Math.round(metrics.total_latency_ms / metrics.requests) : 0,
+      cached_games: cache.size,
+      rate_limited_until: cooldownUntil > Date.now() ? new Date(cooldownUntil).toISOString() : null
+    };
+  }
+
+  return {
+    exportGame,
+    gamesBetween,
+    user,
+    openChallenge,
+    exchangeToken,
+    account,
+    revokeToken,
+    openGameStream,
+    metrics: getMetrics
+  };
+}
+
+module.exports = {
+  createLichessClient,
+  LichessError,
+  LichessNotFoundError,
+  LichessRateLimitError,
+  LichessTimeoutError,
+  LichessUnavailableError
+};
@@ -0,0 +1,112 @@
+// DX - Game eligibility
+// Decides whether a Lichess game can settle a match and what the result is.
+// Every failed check is reported with a code and a message so routes can
+// tell players exactly why a game was refused.
+
+const { VARIANTS, playerId, parseTimeControl } = require('./games');
+
+// How each Lichess status settles a match:
+//   decisive - the side in `winner` wins
+//   draw     - stakes are refunded
+//   void     - no game was really played; it does not count
+//   pending  - the game is not over yet
+const STATUS_OUTCOMES = {
+  created: 'pending',
+  started: 'pending',
+  mate: 'decisive',
+  resign: 'decisive',
+  outoftime: 'decisive',
+  timeout: 'decisive',
+  cheat: 'decisive',
+  variantEnd: 'decisive',
+  stalemate: 'draw',
+  draw: 'draw',
+  aborted: 'void',
+  noStart: 'void'
+};
+
+// { result: 'white' | 'black' | 'draw' | null, reason }
+function gameOutcome(game) {
+  const kind = STATUS_OUTCOMES[game.status];
+
+  switch (kind) {
+    case 'decisive':
+      if (game.winner === 'white' || game.winner === 'black') {
+        return { result: game.winner };
+      }
+      // Flag fall against insufficient material is a draw on Lichess
+      if (game.status === 'outoftime' || game.status === 'timeout') {
+        return { result: 'draw' };
+      }
+      return { result: null, reason: { code: 'missing_winner', message: `Game ended by ${game.status} but Lichess reports no winner` } };
+    case 'draw':
+      return { result: 'draw' };
+    case 'void':
+      return { result: null, reason: { code: 'not_played', message: `Game was ${game.status === 'aborted' ? 'aborted' : 'never started'}, so it does not count` } };
+    case 'pending':
+      return { result: null, reason: { code: 'not_finished', message: 'Game has not finished yet' } };
+    default:
+      return { result: null, reason: { code: 'unknown_status', message: `Unsupported game status "${game.status}"` } };
+  }
+}
+
+// Checks a game against the match terms:
+//   { players: [creatorLichess, opponentLichess], timeControl: '3+2', rated,
+//     variant, creatorColor, startedAt, usedGameIds }
+// creatorColor is the side the creator must have played, or null for either.
+// usedGameIds are games that already settled something else; one game can
+// only ever settle one match.
+// Returns { eligible, result, reasons: [{ code, message }] }
+function checkEligibility(game, { players, timeControl, rated, variant = 'standard', creatorColor = null, startedAt, usedGameIds = [] }) {
+  const reasons = [];
+
+  if (!game || !game.id) {
+    return { eligible: false, result: null, reasons: [{ code: 'not_found', message: 'Game not found on Lichess' }] };
+  }
+
+  if (usedGameIds.includes(String(game.id))) {
+    reasons.push({ code: 'game_already_used', message: 'Game has already been used to settle another match' });
+  }
+
+  const white = playerId(game, 'white');
+  const black = playerId(game, 'black');
+  const expected = players.map(p => (p || '').toLowerCase());
+
+  if (!white || !black) {
+    reasons.push({ code: 'anonymous_player', message: 'Both sides must be signed-in Lichess accounts' });
+  } else if ([white, black].sort().join() !== [...expected].sort().join()) {
+    reasons.push({ code: 'wrong_players', message: `Game was played by ${white} and ${black}, not by the two players of this match` });
+  } else if (creatorColor && playerId(game, creatorColor) !== expected[0]) {
+    reasons.push({ code: 'color_mismatch', message: `${players[0]} had to play ${creatorColor} in this match` });
+  }
+
+  const { limit, increment } = parseTimeControl(timeControl);
+  if (!game.clock) {
+    reasons.push({ code: 'no_clock', message: 'Game has no clock; correspondence and unlimited games do not count' });
+  } else if (game.clock.initial !== limit || game.clock.increment !== increment) {
+    const played = `${game.clock.initial / 60}+${game.clock.increment}`;
+    reasons.push({ code: 'time_control_mismatch', message: `Game was played at ${played}, the match requires ${timeControl}` });
+  }
+
+  if (!!game.rated !== !!rated) {
+    reasons.push({ code: 'rated_mismatch', message: `Game was ${game.rated ? 'rated' : 'casual'}, the match requires ${rated ? 'rated' : 'casual'}` });
+  }
+
+  const gameVariant = game.variant || 'standard';
+  if (gameVariant !== variant) {
+    reasons.push({ code: 'variant_mismatch', message: `Game variant is ${VARIANTS[gameVariant] || gameVariant}, the match requires ${VARIANTS[variant] || variant}` });
+  }
+
+  if (startedAt && !(game.createdAt >= new Date(startedAt).getTime())) {
+    reasons.push({ code: 'played_before_match', message: 'Game was created before the match started' });
+  }
+
+  const outcome = gameOutcome(game);
+  if (outcome.reason) {
+    reasons.push(outcome.reason);
+  }
+
+  return { eligible: reasons.length === 0, result: outcome.result, reasons };
+}
+
+module.exports = { STATUS_OUTCOMES, gameOutcome, checkEligibility };
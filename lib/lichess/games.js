@@ -0,0 +1,78 @@
+// DX - Lichess game helpers
+// Works on games in the Lichess JSON export format:
+//   { id, rated, variant, createdAt, status, winner,
+//     players: { white: { user: { id, name } }, black: { ... } },
+//     clock: { initial, increment },
+//     clocks: [centiseconds after each move], opening: { eco, name }, pgn }
+
+// Variants a match can be played in, by Lichess key
+const VARIANTS = {
+  standard: 'Standard',
+  chess960: 'Chess960',
+  crazyhouse: 'Crazyhouse',
+  antichess: 'Antichess',
+  atomic: 'Atomic',
+  horde: 'Horde',
+  kingOfTheHill: 'King of the Hill',
+  racingKings: 'Racing Kings',
+  threeCheck: 'Three-check'
+};
+
+const COLORS = ['white', 'black', 'random'];
+
+// Statuses Lichess uses while a game can still change
+const UNFINISHED_STATUSES = ['created', 'started'];
+
+function isFinished(game) {
+  return !!game && !!game.status && !UNFINISHED_STATUSES.includes(game.status);
+}
+
+// Lowercased Lichess id of the player on the given side, or '' for anonymous
+function playerId(game, color) {
+  const user = game.players && game.players[color] && game.players[color].user;
+  return user ? (user.id || user.name || '').toLowerCase() : '';
+}
+
+// "3+2" -> { limit: 180, increment: 2 } in seconds
+function parseTimeControl(timeControl) {
+  const [minutes, increment] = String(timeControl).split('+').map(Number);
+  return { limit: Math.round(minutes * 60), increment: increment || 0 };
+}
+
+// Longest clock, in minutes, and largest increment, in seconds, Lichess offers
+const MAX_TIME_CONTROL = { minutes: 180, increment: 180 };
+
+// "minutes+increment" in whole numbers within Lichess's limits, with some
+// time on the clock
+function isValidTimeControl(timeControl) {
+  if (typeof timeControl !== 'string' || !/^\d{1,3}\+\d{1,3}$/.test(timeControl)) return false;
+  const [minutes, increment] = timeControl.split('+').map(Number);
+  return minutes <= MAX_TIME_CONTROL.minutes && increment <= MAX_TIME_CONTROL.increment && (minutes > 0 || increment > 0);
+}
+
+// Lichess speed category of a time control, from the estimated game length
+// (limit + 40 moves of increment)
+function speedOf(timeControl) {
+  const { limit, increment } = parseTimeControl(timeControl);
+  const estimate = limit + 40 * increment;
+  if (Number.isNaN(estimate)) return null;
+  if (estimate < 30) return 'ultraBullet';
+  if (estimate < 180) return 'bullet';
+  if (estimate < 480) return 'blitz';
+  if (estimate < 1500) return 'rapid';
+  return 'classical';
+}
+
+// Seconds left on each clock when the game ended, from the per-move clocks
+function finalClocks(game) {
+  const clocks = game.clocks || [];
+  const last = side => {
+    for (let i = clocks.length - 1; i >= 0; i--) {
+      if (i % 2 === side) return Math.round(clocks[i] / 100);
+    }
+    return game.clock ? game.clock.initial : null;
+  };
+  return { white: last(0), black: last(1) };
+}
+
+module.exports = { VARIANTS, COLORS, MAX_TIME_CONTROL, isFinished, playerId, parseTimeControl, isValidTimeControl, speedOf, finalClocks };
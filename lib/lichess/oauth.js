@@ -0,0 +1,98 @@
+// DX - Lichess OAuth2 (PKCE) account verification
+// Proves that a DX user controls a Lichess account: the user signs in on
+// Lichess, we exchange the code for a token and read the username from
+// /api/account. Lichess needs no client secret, only a PKCE verifier.
+
+const crypto = require('crypto');
+
+class OAuthError extends Error {}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function createLichessOAuth(store, { client, authorizeUrl, clientId, stateTtlMinutes = 10 }) {
+  const { findOne, insert, update } = store;
+
+  // Returns the Lichess URL to send the user to. The verifier stays on the
+  // server, keyed by the random state that Lichess hands back to us.
+  function start(userId, redirectUri) {
+    const state = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    insert('oauth_states', {
+      user_id: userId,
+      state,
+      code_verifier: codeVerifier,
+      redirect_uri: redirectUri,
+      expires_at: new Date(Date.now() + stateTtlMinutes * 60 * 1000).toISOString(),
+      used: 0
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      code_challenge_method: 'S256',
+      code_challenge: codeChallenge,
+      state
+    });
+
+    return `${authorizeUrl}?${params.toString()}`;
+  }
+
+  // Consumes the state, exchanges the code and returns the verified account
+  async function complete(state, code) {
+    if (!state || !code) {
+      throw new OAuthError('Missing code or state');
+    }
+
+    const pending = findOne('oauth_states', { state: String(state) });
+    if (!pending || pending.used) {
+      throw new OAuthError('Unknown or already used login attempt');
+    }
+    update('oauth_states', pending.id, { used: 1 });
+
+    if (new Date(pending.expires_at) < new Date()) {
+      throw new OAuthError('Login attempt expired, please try again');
+    }
+
+    let accessToken;
+    try {
+      const body = await client.exchangeToken({
+        grant_type: 'authorization_code',
+        code,
+        code_verifier: pending.code_verifier,
+        redirect_uri: pending.redirect_uri,
+        client_id: clientId
+      });
+      accessToken = body.access_token;
+    } catch (error) {
+      console.error('Lichess token exchange failed:', error.message);
+      throw new OAuthError('Lichess rejected the login');
+    }
+
+    if (!accessToken) {
+      throw new OAuthError('Lichess returned no access token');
+    }
+
+    try {
+      const account = await client.account(accessToken);
+      if (!account || !account.username) {
+        throw new Error('Account response has no username');
+      }
+      return { user_id: pending.user_id, lichess_id: account.id, lichess_username: account.username };
+    } catch (error) {
+      console.error('Lichess account lookup failed:', error.message);
+      throw new OAuthError('Could not read your Lichess account');
+    } finally {
+      // The token was only needed to read the username
+      client.revokeToken(accessToken).catch(() => {});
+    }
+  }
+
+  return { start, complete };
+}
+
+module.exports = { createLichessOAuth, OAuthError };
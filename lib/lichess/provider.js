@@ -0,0 +1,41 @@
+// DX - Lichess game provider
+// Adapter for lib/providers. Games and profiles already come from the client
+// in the Lichess export format, so this mostly maps the interface onto it.
+// Linking happens through OAuth (see oauth.js); this adapter only reads the
+// result from the user record.
+
+const { VARIANTS } = require('./games');
+const { checkEligibility } = require('./eligibility');
+
+function createLichessProvider({ client }) {
+  return {
+    name: 'lichess',
+    label: 'Lichess',
+    variants: Object.keys(VARIANTS),
+    variantRatings: true,
+
+    account(user) {
+      return { username: user?.lichess_username || null, verified: !!user?.lichess_verified };
+    },
+
+    gameUrl(game) {
+      return `https://lichess.org/${game.id}`;
+    },
+
+    getGame(gameId) {
+      return client.exportGame(gameId);
+    },
+
+    async findGame(terms) {
+      const [creator, opponent] = terms.players;
+      const games = await client.gamesBetween(creator, opponent, terms.startedAt);
+      return games.find(game => checkEligibility(game, terms).eligible) || null;
+    },
+
+    profile(username) {
+      return client.user(username);
+    }
+  };
+}
+
+module.exports = { createLichessProvider };
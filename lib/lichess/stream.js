@@ -0,0 +1,183 @@
+// DX - Live game tracking
+// Follows the Lichess NDJSON stream of a game: the first line is the full
+// game, every following line is a move ({ fen, lm, wc, bc }), and a line with
+// a finished status closes it. Dropped or silent connections are reopened
+// with backoff until the game ends. On reconnect Lichess resends the full
+// game first, so the tracked state resyncs by itself.
+
+const { LichessNotFoundError, LichessRateLimitError } = require('./client');
+const { isFinished } = require('./games');
+
+function statusName(status) {
+  return status && typeof status === 'object' ? status.name : status;
+}
+
+// Folds one stream message into the tracked state
+function applyMessage(live, message) {
+  const next = { ...live };
+
+  if (message.id && message.status !== undefined) {
+    // Full game: sent first, and again on every reconnect
+    next.ply = message.turns !== undefined ? message.turns : next.ply;
+    next.fen = message.fen || next.fen;
+    next.last_move = message.lastMove || next.last_move;
+    if (message.players) {
+      next.white_clock = message.players.white?.seconds ?? next.white_clock;
+      next.black_clock = message.players.black?.seconds ?? next.black_clock;
+    }
+  } else if (message.lm) {
+    next.ply = (next.ply || 0) + 1;
+    next.fen = message.fen;
+    next.last_move = message.lm;
+    next.white_clock = message.wc ?? next.white_clock;
+    next.black_clock = message.bc ?? next.black_clock;
+  }
+
+  if (message.status !== undefined) {
+    next.status = statusName(message.status);
+  }
+  if (message.winner) {
+    next.winner = message.winner;
+  }
+
+  next.updated_at = new Date().toISOString();
+  return next;
+}
+
+function createGameStreamer({ client, reconnectBaseMs = 1000, reconnectMaxMs = 30000, idleTimeoutMs = 90000 }) {
+  const follows = new Map();
+
+  function scheduleReconnect(entry, delayMs) {
+    if (entry.stopped) return;
+    const delay = delayMs !== undefined
+      ? delayMs
+      : Math.min(reconnectBaseMs * 2 ** entry.failures, reconnectMaxMs);
+    entry.failures++;
+    entry.reconnects++;
+    entry.timer = setTimeout(() => connect(entry), delay);
+  }
+
+  function finish(entry) {
+    stop(entry.gameId);
+    Promise.resolve(entry.onEnd(entry.live)).catch(error => {
+      console.error(`Game stream ${entry.gameId}: end handler failed:`, error);
+    });
+  }
+
+  async function connect(entry) {
+    if (entry.stopped) return;
+
+    let body;
+    try {
+      body = await client.openGameStream(entry.gameId);
+    } catch (error) {
+      console.error(`Game stream ${entry.gameId}: ${error.message}`);
+      if (error instanceof LichessRateLimitError) {
+        return scheduleReconnect(entry, error.retryAfter * 1000);
+      }
+      // A game DX just created can take a moment to show up
+      if (error instanceof LichessNotFoundError && entry.failures >= 5) {
+        console.error(`Game stream ${entry.gameId}: giving up`);
+        return stop(entry.gameId);
+      }
+      return scheduleReconnect(entry);
+    }
+
+    if (entry.stopped) {
+      body.destroy();
+      return;
+    }
+    entry.body = body;
+
+    let buffer = '';
+    let idle;
+    const resetIdle = () => {
+      clearTimeout(idle);
+      idle = setTimeout(() => body.destroy(), idleTimeoutMs);
+    };
+    resetIdle();
+
+    body.on('data', chunk => {
+      resetIdle();
+      entry.failures = 0;
+      buffer += chunk.toString();
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim() || entry.stopped) continue;
+
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          console.error(`Game stream ${entry.gameId}: bad line ignored`);
+          continue;
+        }
+
+        entry.live = applyMessage(entry.live, message);
+        try {
+          entry.onUpdate(entry.live);
+        } catch (error) {
+          console.error(`Game stream ${entry.gameId}: update handler failed:`, error);
+        }
+
+        if (isFinished(entry.live)) {
+          clearTimeout(idle);
+          body.destroy();
+          return finish(entry);
+        }
+      }
+    });
+
+    // 'close' follows both a clean end and an error
+    body.on('error', () => {});
+    body.on('close', () => {
+      clearTimeout(idle);
+      if (entry.body === body && !entry.stopped) {
+        entry.body = null;
+        scheduleReconnect(entry);
+      }
+    });
+  }
+
+  // onUpdate(live) runs for every message, onEnd(live) once the game is over
+  function follow(gameId, { onUpdate = () => {}, onEnd = () => {} } = {}) {
+    if (follows.has(gameId)) return;
+
+    const entry = {
+      gameId,
+      onUpdate,
+      onEnd,
+      live: { ply: 0, status: 'created', fen: null, last_move: null, white_clock: null, black_clock: null, winner: null },
+      failures: 0,
+      reconnects: 0,
+      stopped: false,
+      body: null,
+      timer: null
+    };
+    follows.set(gameId, entry);
+    connect(entry);
+  }
+
+  function stop(gameId) {
+    const entry = follows.get(gameId);
+    if (!entry) return;
+    entry.stopped = true;
+    clearTimeout(entry.timer);
+    if (entry.body) {
+      entry.body.destroy();
+      entry.body = null;
+    }
+    follows.delete(gameId);
+  }
+
+  function following() {
+    return [...follows.values()].map(entry => ({ game_id: entry.gameId, reconnects: entry.reconnects, live: entry.live }));
+  }
+
+  return { follow, stop, following };
+}
+
+module.exports = { createGameStreamer, applyMessage };
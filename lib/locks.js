@@ -0,0 +1,60 @@
+// DX - Per-entity locks
+// Route handlers that read a user, challenge or match, await something and
+// then write must hold that entity's lock for the whole sequence. Keys are
+// taken in sorted order so two handlers can never deadlock each other.
+
+const { ConflictError } = require('./errors');
+
+function createLockManager({ timeoutMs = 10000 } = {}) {
+  const tails = new Map();
+
+  async function acquire(key) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    const done = () => {
+      release();
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    };
+
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new ConflictError(`${key} is busy with another request, please retry`)), timeoutMs);
+    });
+
+    try {
+      await Promise.race([previous, timedOut]);
+    } catch (error) {
+      // Let whoever queued behind us wait on the original holder instead
+      done();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return done;
+  }
+
+  async function withLocks(keys, fn) {
+    const unique = [...new Set(keys.filter(Boolean))].sort();
+    const releases = [];
+
+    try {
+      for (const key of unique) {
+        releases.push(await acquire(key));
+      }
+      return await fn();
+    } finally {
+      releases.reverse().forEach(release => release());
+    }
+  }
+
+  return { withLocks };
+}
+
+module.exports = { createLockManager };
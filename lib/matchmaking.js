@@ -0,0 +1,39 @@
+// DX - Matchmaking
+// Pairs waiting queue entries. Two entries are compatible when they are from
+// different players, ask for the same stake, time control and rated setting,
+// and each player's rating falls inside the other's accepted range.
+// The longest-waiting entry is served first and gets the closest rating
+// among the entries it is compatible with.
+
+function isCompatible(a, b) {
+  return a.user_id !== b.user_id &&
+    a.stake_amount === b.stake_amount &&
+    a.time_control === b.time_control &&
+    !!a.is_rated === !!b.is_rated &&
+    b.rating >= a.min_rating && b.rating <= a.max_rating &&
+    a.rating >= b.min_rating && a.rating <= b.max_rating;
+}
+
+// [[first, second], ...] from the waiting entries; first is the older entry
+function pairEntries(entries) {
+  const waiting = [...entries].sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+  const paired = new Set();
+  const pairs = [];
+
+  waiting.forEach(entry => {
+    if (paired.has(entry.id)) return;
+
+    const partner = waiting
+      .filter(other => other.id !== entry.id && !paired.has(other.id) && isCompatible(entry, other))
+      .sort((x, y) => Math.abs(x.rating - entry.rating) - Math.abs(y.rating - entry.rating))[0];
+    if (!partner) return;
+
+    paired.add(entry.id);
+    paired.add(partner.id);
+    pairs.push([entry, partner]);
+  });
+
+  return pairs;
+}
+
+module.exports = { isCompatible, pairEntries };
@@ -0,0 +1,90 @@
+// DX - Schema migrations
+// Migrations live in /migrations as NNN_name.js and export
+// { description, up(ctx) }. Each runs in its own transaction and is recorded
+// in the schema_migrations collection; the highest recorded version is the
+// schema version of the database.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Thrown at the end of a dry run so the transaction rolls back
+class DryRunRollback extends Error {}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => {
+      const match = /^(\d+)_([\w-]+)\.js$/.exec(file);
+      return match ? { version: parseInt(match[1]), name: match[2], file: path.join(dir, file) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version)
+    .map(m => ({ ...m, ...require(m.file) }));
+}
+
+function schemaVersion(store) {
+  return store.findAll('schema_migrations').reduce((max, m) => Math.max(max, m.schema_version), 0);
+}
+
+// Applies every migration newer than the stored schema version, in order.
+// With dryRun all of them run inside one outer transaction that is rolled
+// back at the end, so later migrations see the effect of earlier ones.
+function runMigrations(store, { dryRun = false, dir } = {}) {
+  const current = schemaVersion(store);
+  const pending = loadMigrations(dir).filter(m => m.version > current);
+  const results = [];
+
+  function apply(migration) {
+    const changes = [];
+    const ctx = {
+      ...store,
+      log: message => changes.push(message)
+    };
+
+    try {
+      store.transaction(() => {
+        migration.up(ctx);
+        // Not "version": every record already has one for optimistic locking
+        store.insert('schema_migrations', {
+          schema_version: migration.version,
+          name: migration.name,
+          description: migration.description,
+          changes: changes.length
+        });
+      });
+    } catch (error) {
+      error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+
+    results.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      changes
+    });
+  }
+
+  if (dryRun) {
+    try {
+      store.transaction(() => {
+        pending.forEach(apply);
+        throw new DryRunRollback();
+      });
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) throw error;
+    }
+  } else {
+    pending.forEach(apply);
+  }
+
+  return {
+    dry_run: dryRun,
+    from_version: current,
+    to_version: results.length > 0 ? results[results.length - 1].version : current,
+    applied: results
+  };
+}
+
+module.exports = { runMigrations, schemaVersion, loadMigrations };
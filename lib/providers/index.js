@@ -0,0 +1,33 @@
+// DX - Game providers
+// A provider is the chess site a match is played on. Every adapter has the
+// same shape:
+//   name, label          'lichess', 'Lichess'
+//   variants             variant keys the site can play (see lib/lichess/games.js)
+//   variantRatings       whether profiles count rated games per variant; if
+//                        not, variant games are judged on the speed's count
+//   account(user)        { username, verified } of the user's linked account
+//   gameUrl(game)        link to a game on the site
+//   getGame(id, terms)   one finished or running game; throws when unknown
+//   findGame(terms)      first finished game that settles the match, or null
+//   profile(username)    public profile, for the trust checks in ./trust.js
+// `terms` are the match terms from checkEligibility, creator first.
+// Games and profiles are returned in the Lichess export format, PGN
+// included, so eligibility, settlement, fair-play screening and the game
+// archive work the same whichever site the game was played on.
+
+function createProviders(adapters) {
+  const byName = new Map(adapters.map(adapter => [adapter.name, adapter]));
+
+  // Records from before providers existed were all played on Lichess
+  function get(name) {
+    return byName.get(name || 'lichess') || null;
+  }
+
+  function list() {
+    return [...byName.values()];
+  }
+
+  return { get, list };
+}
+
+module.exports = { createProviders };
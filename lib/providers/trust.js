@@ -0,0 +1,85 @@
+// DX - Account trust checks
+// Staked games are only as fair as the accounts playing them. Before a
+// challenge is sent or accepted, both linked accounts are looked up on the
+// match's provider. Closed and ToS-flagged accounts are always refused.
+// Young accounts and accounts with few rated games in the match's speed (or
+// variant, for anything but standard chess on sites that rate variants
+// separately) are the usual smurfs; they are refused or only flagged,
+// depending on `action`.
+// Profiles are cached for a few minutes so repeat challenges stay cheap.
+
+const { speedOf } = require('../lichess/games');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createTrustChecker({ provider, minAccountAgeDays = 30, minRatedGames = 20, action = 'block', cacheMinutes = 10 }) {
+  const cache = new Map();
+
+  // Resolves with the profile, or null when the site has no such account
+  async function profile(username) {
+    const key = username.toLowerCase();
+    const cached = cache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.profile;
+
+    let found;
+    try {
+      found = await provider.profile(username);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      found = null;
+    }
+
+    cache.set(key, { profile: found, expires: Date.now() + cacheMinutes * 60 * 1000 });
+    return found;
+  }
+
+  // Problems with one account: [{ username, code, severity, message }]
+  // severity 'block' always refuses; 'soft' follows the configured action
+  async function checkAccount(username, timeControl, variant = 'standard') {
+    const user = await profile(username);
+    const problem = (code, severity, message) => ({ username, code, severity, message });
+
+    if (!user) {
+      return [problem('account_not_found', 'block', `${provider.label} account ${username} no longer exists`)];
+    }
+    if (user.disabled) {
+      return [problem('account_closed', 'block', `${provider.label} account ${username} is closed`)];
+    }
+    if (user.tosViolation) {
+      return [problem('tos_violation', 'block', `${provider.label} account ${username} is marked for violating the ${provider.label} Terms of Service`)];
+    }
+
+    const problems = [];
+
+    const ageDays = Math.floor((Date.now() - user.createdAt) / DAY_MS);
+    if (!(ageDays >= minAccountAgeDays)) {
+      problems.push(problem('account_too_new', 'soft', `${provider.label} account ${username} is ${ageDays} days old; at least ${minAccountAgeDays} are required`));
+    }
+
+    // Profiles keep variant ratings under the variant key, standard ones by
+    // speed. Sites without variant ratings only have the speed to go on.
+    const perf = variant === 'standard' || !provider.variantRatings ? speedOf(timeControl) : variant;
+    const games = perf ? user.perfs?.[perf]?.games || 0 : null;
+    if (perf && games < minRatedGames) {
+      problems.push(problem('too_few_games', 'soft', `${provider.label} account ${username} has ${games} rated ${perf} games; at least ${minRatedGames} are required`));
+    }
+
+    return problems;
+  }
+
+  // Checks every linked account of a challenge. Unlinked players are skipped.
+  // Returns { allowed, reasons }; reasons that did not block are flags.
+  async function checkPlayers(usernames, timeControl, variant) {
+    const reasons = [];
+    for (const username of usernames.filter(Boolean)) {
+      reasons.push(...await checkAccount(username, timeControl, variant));
+    }
+
+    const allowed = !reasons.some(r => r.severity === 'block' || action === 'block');
+    return { allowed, reasons };
+  }
+
+  return { profile, checkAccount, checkPlayers };
+}
+
+module.exports = { createTrustChecker };
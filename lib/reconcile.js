@@ -0,0 +1,257 @@
+// DX - Ledger reconciliation
+// Rebuilds what every balance should be from three independent sources and
+// reports where they disagree with the cached user balances:
+//   1. the user-facing transactions history, replayed in order
+//   2. reservations implied by pending challenges and matchmaking queue
+//      entries, and escrow implied by matches that have not been settled yet
+//   3. the double-entry ledger
+
+const { ACCOUNTS, roundAmount } = require('./ledger');
+
+// Matches whose stakes should still be sitting in escrow
+const UNSETTLED_MATCH_STATUSES = ['in_progress', 'result_pending', 'awaiting_appeal', 'fair_play_review', 'draw', 'appealed', 'disputed'];
+
+function matchIdFromReference(referenceId) {
+  const match = /^[A-Z]+(\d+)$/.exec(referenceId || '');
+  return match ? parseInt(match[1]) : null;
+}
+
+function reconcile(store, ledger) {
+  const { findAll, findById } = store;
+  const users = findAll('users');
+  const matches = findAll('matches');
+  const challenges = findAll('challenges');
+  const queueEntries = findAll('queue_entries');
+  const transactions = findAll('transactions').sort((a, b) => a.id - b.id);
+  // Aggregated once: a lookup per user and account would rescan the ledger
+  const balances = ledger.balances();
+  const ledgerBalance = account => balances.get(account) || 0;
+  const discrepancies = [];
+
+  function report(type, fields) {
+    discrepancies.push({
+      type,
+      user_id: null,
+      username: null,
+      expected: null,
+      actual: null,
+      match_ids: [],
+      challenge_ids: [],
+      transaction_ids: [],
+      ...fields
+    });
+  }
+
+  // 1. Replay the transactions history per user
+  const replayed = new Map(users.map(u => [u.id, { available: 0, held: 0, escrow: 0, transaction_ids: [] }]));
+
+  transactions.forEach(tx => {
+    const state = replayed.get(tx.user_id);
+    if (!state) return;
+    state.transaction_ids.push(tx.id);
+
+    // Older rows may hold the amount as a string; anything else is reported
+    const amount = Number(tx.amount);
+    if (tx.amount === null || tx.amount === '' || !Number.isFinite(amount)) {
+      report('invalid_transaction_amount', {
+        user_id: tx.user_id,
+        transaction_ids: [tx.id],
+        message: `Transaction ${tx.id} has non-numeric amount ${JSON.stringify(tx.amount)}`
+      });
+      return;
+    }
+
+    switch (tx.type) {
+      case 'deposit':
+        state.available += amount;
+        break;
+      case 'withdrawal':
+        state.available -= amount;
+        break;
+      case 'hold':
+        state.available -= amount;
+        state.held += amount;
+        break;
+      case 'release':
+        state.held -= amount;
+        state.available += amount;
+        break;
+      case 'stake':
+        state.available -= amount;
+        state.escrow += amount;
+        break;
+      case 'hold_stake':
+        state.held -= amount;
+        state.escrow += amount;
+        break;
+      case 'refund':
+        state.escrow -= amount;
+        state.available += amount;
+        break;
+      case 'winning': {
+        const match = findById('matches', matchIdFromReference(tx.reference_id));
+        state.escrow -= match ? match.stake_amount : 0;
+        state.available += amount;
+        break;
+      }
+      case 'stake_loss':
+        state.escrow -= amount;
+        break;
+      default:
+        report('unknown_transaction_type', {
+          user_id: tx.user_id,
+          transaction_ids: [tx.id],
+          message: `Transaction ${tx.id} has unrecognised type "${tx.type}"`
+        });
+    }
+  });
+
+  users.forEach(user => {
+    const state = replayed.get(user.id);
+    const userMatches = matches.filter(m => m.creator_id === user.id || m.opponent_id === user.id);
+    const base = { user_id: user.id, username: user.username };
+
+    if (roundAmount(state.available) !== roundAmount(user.wallet_balance)) {
+      report('available_vs_history', {
+        ...base,
+        expected: roundAmount(state.available),
+        actual: user.wallet_balance,
+        transaction_ids: state.transaction_ids,
+        message: 'Available balance does not match replayed transaction history'
+      });
+    }
+
+    if (roundAmount(state.held) !== roundAmount(user.reserved_balance)) {
+      report('held_vs_history', {
+        ...base,
+        expected: roundAmount(state.held),
+        actual: user.reserved_balance,
+        transaction_ids: state.transaction_ids,
+        message: 'Reserved balance does not match replayed transaction history'
+      });
+    }
+
+    if (roundAmount(state.escrow) !== roundAmount(user.locked_balance)) {
+      report('escrow_vs_history', {
+        ...base,
+        expected: roundAmount(state.escrow),
+        actual: user.locked_balance,
+        transaction_ids: state.transaction_ids,
+        match_ids: userMatches.map(m => m.id),
+        message: 'Locked balance does not match replayed transaction history'
+      });
+    }
+
+    // 2. Reservations implied by pending challenges and queue entries,
+    //    escrow by unsettled matches
+    const holding = challenges.filter(c => c.creator_id === user.id && c.status === 'pending' && c.stake_held);
+    const queued = queueEntries.filter(e => e.user_id === user.id && e.status === 'waiting' && e.stake_held);
+    const expectedHeld = roundAmount([...holding, ...queued].reduce((sum, item) => sum + item.stake_amount, 0));
+
+    if (expectedHeld !== roundAmount(user.reserved_balance)) {
+      report('held_vs_challenges', {
+        ...base,
+        expected: expectedHeld,
+        actual: user.reserved_balance,
+        challenge_ids: holding.map(c => c.id),
+        message: 'Reserved balance does not match stakes of pending challenges and queue entries'
+      });
+    }
+
+    const openMatches = userMatches.filter(m => UNSETTLED_MATCH_STATUSES.includes(m.status));
+    const expectedEscrow = roundAmount(openMatches.reduce((sum, m) => sum + m.stake_amount, 0));
+
+    if (expectedEscrow !== roundAmount(user.locked_balance)) {
+      report('escrow_vs_matches', {
+        ...base,
+        expected: expectedEscrow,
+        actual: user.locked_balance,
+        match_ids: openMatches.map(m => m.id),
+        message: 'Locked balance does not match stakes of unsettled matches'
+      });
+    }
+
+    // 3. The ledger
+    const ledgerAvailable = ledgerBalance(ACCOUNTS.available(user.id));
+    const ledgerHeld = ledgerBalance(ACCOUNTS.held(user.id));
+    const ledgerEscrow = ledgerBalance(ACCOUNTS.escrow(user.id));
+
+    if (ledgerAvailable !== roundAmount(user.wallet_balance)) {
+      report('available_vs_ledger', {
+        ...base,
+        expected: ledgerAvailable,
+        actual: user.wallet_balance,
+        message: `Available balance does not match ledger account ${ACCOUNTS.available(user.id)}`
+      });
+    }
+
+    if (ledgerHeld !== roundAmount(user.reserved_balance)) {
+      report('held_vs_ledger', {
+        ...base,
+        expected: ledgerHeld,
+        actual: user.reserved_balance,
+        message: `Reserved balance does not match ledger account ${ACCOUNTS.held(user.id)}`
+      });
+    }
+
+    if (ledgerEscrow !== roundAmount(user.locked_balance)) {
+      report('escrow_vs_ledger', {
+        ...base,
+        expected: ledgerEscrow,
+        actual: user.locked_balance,
+        match_ids: openMatches.map(m => m.id),
+        message: `Locked balance does not match ledger account ${ACCOUNTS.escrow(user.id)}`
+      });
+    }
+  });
+
+  // Platform fees: every decided, disbursed match owes exactly one fee
+  const feeTransactions = transactions.filter(t => t.type === 'platform_fee');
+  const decided = matches.filter(m => m.status === 'disbursed' && m.winner_id);
+  const expectedFees = roundAmount(decided.reduce((sum, m) => sum + (m.dx_fee || 0), 0));
+  const recordedFees = roundAmount(feeTransactions.reduce((sum, t) => sum + (Number(t.amount) || 0), 0));
+  const ledgerFees = ledgerBalance(ACCOUNTS.PLATFORM_FEES);
+
+  decided.forEach(match => {
+    const fees = feeTransactions.filter(t => t.reference_id === `FEE${match.id}`);
+    if (fees.length !== 1) {
+      report('match_fee_count', {
+        expected: 1,
+        actual: fees.length,
+        match_ids: [match.id],
+        transaction_ids: fees.map(t => t.id),
+        message: `Disbursed match ${match.id} has ${fees.length} platform fee transactions`
+      });
+    }
+  });
+
+  if (recordedFees !== expectedFees) {
+    report('platform_fees_vs_matches', {
+      expected: expectedFees,
+      actual: recordedFees,
+      match_ids: decided.map(m => m.id),
+      transaction_ids: feeTransactions.map(t => t.id),
+      message: 'Platform fee transactions do not add up to fees of disbursed matches'
+    });
+  }
+
+  if (ledgerFees !== expectedFees) {
+    report('platform_fees_vs_ledger', {
+      expected: expectedFees,
+      actual: ledgerFees,
+      match_ids: decided.map(m => m.id),
+      message: `Ledger account ${ACCOUNTS.PLATFORM_FEES} does not match fees of disbursed matches`
+    });
+  }
+
+  return {
+    checked_at: new Date().toISOString(),
+    users_checked: users.length,
+    matches_checked: matches.length,
+    transactions_checked: transactions.length,
+    platform_fees: { expected: expectedFees, recorded: recordedFees, ledger: ledgerFees },
+    discrepancies
+  };
+}
+
+module.exports = { reconcile, UNSETTLED_MATCH_STATUSES };
@@ -0,0 +1,99 @@
+// DX - Match series
+// A series is a match decided over several games instead of one. The match
+// keeps the terms (match.series), the running score and the escrowed pot;
+// each game is a child record in match_games. Colors alternate every game.
+//   best_of  first to more than half the points of `games` (3 or 5)
+//   fixed    exactly `games` games; the higher score wins
+// A win is worth 1 point and a draw half a point each. A series still level
+// after its games is settled by the tiebreak:
+//   split         the series is drawn and both stakes are refunded
+//   sudden_death  extra games until one is decisive, up to a limit, then split
+
+const SERIES_FORMATS = {
+  best_of: [3, 5],
+  fixed: [2, 3, 4, 5, 6]
+};
+
+const TIEBREAKS = ['split', 'sudden_death'];
+
+// Error message for invalid series terms, or null
+function validateSeries({ format, games, tiebreak }) {
+  if (!SERIES_FORMATS[format]) {
+    return `Series format must be one of: ${Object.keys(SERIES_FORMATS).join(', ')}`;
+  }
+  if (!SERIES_FORMATS[format].includes(games)) {
+    return `A ${format} series can have ${SERIES_FORMATS[format].join(', ')} games`;
+  }
+  if (!TIEBREAKS.includes(tiebreak)) {
+    return `Tiebreak must be one of: ${TIEBREAKS.join(', ')}`;
+  }
+  return null;
+}
+
+function otherColor(color) {
+  return color === 'white' ? 'black' : 'white';
+}
+
+// Points of each side from the recorded games
+function seriesScore(games) {
+  return games.reduce((score, game) => {
+    if (game.result === 'draw') {
+      score.creator += 0.5;
+      score.opponent += 0.5;
+    } else if (game.result) {
+      score[game.result] += 1;
+    }
+    return score;
+  }, { creator: 0, opponent: 0 });
+}
+
+// Where the series stands after the recorded games:
+// { decided, result: 'creator' | 'opponent' | 'draw' | null, score, next }
+// `next` is the number of the game to play when the series goes on.
+function seriesOutcome(series, games, { maxTiebreakGames = 3 } = {}) {
+  const score = seriesScore(games);
+  const played = games.length;
+  const leader = score.creator > score.opponent ? 'creator' : 'opponent';
+  const decided = result => ({ decided: true, result, score, next: null });
+
+  if (series.format === 'best_of' && Math.max(score.creator, score.opponent) > series.games / 2) {
+    return decided(leader);
+  }
+
+  if (played < series.games) {
+    return { decided: false, result: null, score, next: played + 1 };
+  }
+
+  if (score.creator !== score.opponent) {
+    return decided(leader);
+  }
+
+  // Level after the regular games
+  if (series.tiebreak === 'sudden_death' && played < series.games + maxTiebreakGames) {
+    return { decided: false, result: null, score, next: played + 1 };
+  }
+  return decided('draw');
+}
+
+// One fair-play verdict for the series from its decisive games: flagged if
+// any game is, pending while any still waits for analysis
+function combineFairPlay(games) {
+  const verdicts = games.filter(g => g.fair_play).map(g => ({ number: g.number, ...g.fair_play }));
+  if (verdicts.length === 0) return null;
+
+  const has = status => verdicts.some(v => v.status === status);
+  let status = 'unavailable';
+  if (has('flagged')) status = 'flagged';
+  else if (has('pending')) status = 'pending';
+  else if (has('clear')) status = 'clear';
+
+  return {
+    status,
+    source: 'series',
+    games: verdicts.map(v => ({ number: v.number, status: v.status, source: v.source })),
+    reasons: verdicts.flatMap(v => (v.reasons || []).map(reason => ({ game: v.number, message: reason }))),
+    screened_at: status === 'pending' ? null : new Date().toISOString()
+  };
+}
+
+module.exports = { SERIES_FORMATS, TIEBREAKS, validateSeries, otherColor, seriesScore, seriesOutcome, combineFairPlay };
@@ -0,0 +1,21 @@
+// DX - Record filters shared by the storage backends
+// findAll and findOne take an optional `where` object of field equalities
+// ahead of the predicate: { status: 'pending', creator_id: 4 }. An array
+// value matches any of its items, and null also matches a missing field.
+// The SQLite backend answers indexed fields from the index (see INDEXES).
+
+function matchesWhere(row, where) {
+  return Object.keys(where).every(field =>
+    [].concat(where[field]).some(value => value === null ? row[field] == null : row[field] === value)
+  );
+}
+
+// Accepts (where, predicate) as well as the older (predicate)
+function filterArgs(where, predicate) {
+  if (typeof where === 'function') {
+    return { where: {}, predicate: where };
+  }
+  return { where: where || {}, predicate: predicate || (() => true) };
+}
+
+module.exports = { matchesWhere, filterArgs };
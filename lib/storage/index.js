@@ -0,0 +1,60 @@
+// DX - Storage layer
+// Both backends expose the same helpers: findById, findOne, findAll, insert,
+// update and transaction. Records are plain objects; callers must write
+// changes back with update() rather than mutating what they read.
+// Every record carries a version that update() bumps. Passing
+// { expectedVersion } makes the write fail with a ConflictError if someone
+// else updated the record since it was read. Records written before versions
+// existed have none and count as version 0.
+// findAll and findOne filter with an optional `where` object of field
+// equalities and/or a predicate (see filter.js). Put the selective fields in
+// `where`: on SQLite the fields listed in INDEXES are looked up through an
+// index instead of parsing the whole table.
+
+const COLLECTIONS = [
+  'users',
+  'challenges',
+  'matches',
+  'match_games',
+  'transactions',
+  'admin_logs',
+  'appeals',
+  'ledger',
+  'idempotency_keys',
+  'schema_migrations',
+  'oauth_states',
+  'live_games',
+  'queue_entries',
+  'notifications',
+  'settings'
+];
+
+// Top-level fields each collection is indexed on (SQLite backend)
+const INDEXES = {
+  users: ['username'],
+  challenges: ['challenge_code', 'status', 'creator_id', 'opponent_id'],
+  matches: ['status', 'creator_id', 'opponent_id'],
+  match_games: ['match_id'],
+  transactions: ['user_id'],
+  appeals: ['match_id', 'status'],
+  idempotency_keys: ['user_id'],
+  oauth_states: ['state'],
+  live_games: ['match_id'],
+  queue_entries: ['user_id', 'status'],
+  notifications: ['user_id'],
+  settings: ['key']
+};
+
+// inMemory works on a copy of the data that is never written back
+function createStore({ driver = 'sqlite', dataDir, inMemory = false }) {
+  switch (driver) {
+    case 'sqlite':
+      return require('./sqlite').createSqliteStore({ dataDir, collections: COLLECTIONS, indexes: INDEXES, inMemory });
+    case 'json':
+      return require('./json').createJsonStore({ dataDir, collections: COLLECTIONS, inMemory });
+    default:
+      throw new Error(`Unknown DB_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createStore, COLLECTIONS, INDEXES };
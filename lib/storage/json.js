@@ -0,0 +1,136 @@
+// DX - JSON file storage backend
+// Keeps every collection in memory and rewrites db.json after each commit.
+// Intended for local development; production uses the SQLite backend.
+
+const fs = require('fs');
+const path = require('path');
+const { ConflictError } = require('../errors');
+const { matchesWhere, filterArgs } = require('./filter');
+
+// With inMemory changes are never written back to db.json
+function createJsonStore({ dataDir, collections, inMemory = false }) {
+  if (!inMemory && !fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  const file = path.join(dataDir, 'db.json');
+  let data = {};
+  let depth = 0;
+
+  if (fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      console.error('Failed to load database:', e);
+    }
+  }
+
+  collections.forEach(name => table(name));
+
+  function table(name) {
+    if (!Array.isArray(data[name])) {
+      data[name] = [];
+    }
+    return data[name];
+  }
+
+  // Write to a temp file and rename so a crash never leaves a truncated db.json
+  function save() {
+    if (depth > 0 || inMemory) return;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function findById(name, id) {
+    const row = table(name).find(i => i.id === id);
+    return row ? { ...row } : undefined;
+  }
+
+  function findOne(name, ...args) {
+    const { where, predicate } = filterArgs(...args);
+    const row = table(name).find(r => matchesWhere(r, where) && predicate(r));
+    return row ? { ...row } : undefined;
+  }
+
+  function findAll(name, ...args) {
+    const { where, predicate } = filterArgs(...args);
+    return table(name).filter(r => matchesWhere(r, where) && predicate(r)).map(row => ({ ...row }));
+  }
+
+  function insert(name, item) {
+    const rows = table(name);
+    const row = {
+      ...item,
+      id: rows.length > 0 ? Math.max(...rows.map(i => i.id)) + 1 : 1,
+      version: 1,
+      created_at: new Date().toISOString()
+    };
+    rows.push(row);
+    save();
+    return { ...row };
+  }
+
+  function update(name, id, updates, options = {}) {
+    const rows = table(name);
+    const index = rows.findIndex(i => i.id === id);
+    if (index === -1) return null;
+    const version = rows[index].version || 0;
+    // Rows from before versioning have none: both sides count that as 0
+    if ('expectedVersion' in options && (options.expectedVersion || 0) !== version) {
+      throw new ConflictError();
+    }
+    rows[index] = { ...rows[index], ...updates, version: version + 1, updated_at: new Date().toISOString() };
+    save();
+    return { ...rows[index] };
+  }
+
+  // Runs fn synchronously; on throw every collection is rolled back to its
+  // state before the call, otherwise the file is written once at the end.
+  function transaction(fn) {
+    const snapshot = depth === 0 ? JSON.stringify(data) : null;
+    depth++;
+    try {
+      const result = fn();
+      depth--;
+      save();
+      return result;
+    } catch (e) {
+      depth--;
+      if (snapshot !== null) {
+        data = JSON.parse(snapshot);
+      }
+      throw e;
+    }
+  }
+
+  // Every collection as { name: rows[] }, for snapshots
+  function exportData() {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  // Replace the whole database, e.g. when restoring a snapshot
+  function importData(snapshot) {
+    transaction(() => {
+      data = JSON.parse(JSON.stringify(snapshot));
+      collections.forEach(name => table(name));
+    });
+  }
+
+  function close() {}
+
+  return {
+    driver: 'json',
+    findById,
+    findOne,
+    findAll,
+    insert,
+    update,
+    transaction,
+    exportData,
+    importData,
+    close
+  };
+}
+
+module.exports = { createJsonStore };
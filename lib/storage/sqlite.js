@@ -0,0 +1,213 @@
+// DX - SQLite storage backend
+// Each collection is a table of JSON documents keyed by integer id, so records
+// keep the same shape as the JSON backend while writes become transactional.
+// Fields listed in `indexes` get an index on their extracted JSON value, so
+// `where` filters on them are answered by SQLite instead of a table scan.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ConflictError } = require('../errors');
+const { matchesWhere, filterArgs } = require('./filter');
+
+// With inMemory the database is a copy in memory: writes work but nothing,
+// not even a new empty database, is written to the data directory.
+function createSqliteStore({ dataDir, collections, indexes = {}, filename = 'dx.sqlite', inMemory = false }) {
+  const file = path.join(dataDir, filename);
+  const isNew = !fs.existsSync(file);
+  let db;
+
+  if (inMemory) {
+    db = new Database(isNew ? ':memory:' : copyOf(file));
+  } else {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+  }
+
+  const statements = new Map();
+  const queries = new Map();
+
+  function table(name) {
+    if (!/^[a-z_]+$/.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    if (!statements.has(name)) {
+      db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+      statements.set(name, {
+        byId: db.prepare(`SELECT data FROM ${name} WHERE id = ?`),
+        all: db.prepare(`SELECT data FROM ${name} ORDER BY id`),
+        nextId: db.prepare(`SELECT COALESCE(MAX(id), 0) + 1 AS id FROM ${name}`),
+        insert: db.prepare(`INSERT INTO ${name} (id, data) VALUES (?, ?)`),
+        update: db.prepare(`UPDATE ${name} SET data = ? WHERE id = ?`)
+      });
+      indexedFields(name).forEach(field => {
+        db.exec(`CREATE INDEX IF NOT EXISTS ${name}_${field} ON ${name} (json_extract(data, '$.${field}'))`);
+      });
+    }
+    return statements.get(name);
+  }
+
+  function indexedFields(name) {
+    return (indexes[name] || []).filter(field => /^[a-z_]+$/.test(field));
+  }
+
+  // Rows narrowed by the indexed fields of `where`. Only strings and numbers
+  // compare the same in SQL and JS; other values are left to matchesWhere.
+  function select(name, where) {
+    const stmts = table(name);
+    const clauses = [];
+    const params = [];
+    indexedFields(name).forEach(field => {
+      if (!(field in where)) return;
+      const values = [].concat(where[field]);
+      if (values.length === 0 || !values.every(v => typeof v === 'string' || typeof v === 'number')) return;
+      clauses.push(`json_extract(data, '$.${field}') IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    });
+    if (clauses.length === 0) return stmts.all;
+
+    const sql = `SELECT data FROM ${name} WHERE ${clauses.join(' AND ')} ORDER BY id`;
+    if (!queries.has(sql)) {
+      queries.set(sql, db.prepare(sql));
+    }
+    const stmt = queries.get(sql);
+    return { all: () => stmt.all(...params), iterate: () => stmt.iterate(...params) };
+  }
+
+  function findById(name, id) {
+    const row = table(name).byId.get(id);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  function findAll(name, ...args) {
+    const { where, predicate } = filterArgs(...args);
+    return select(name, where).all()
+      .map(row => JSON.parse(row.data))
+      .filter(row => matchesWhere(row, where) && predicate(row));
+  }
+
+  // Stops parsing at the first match
+  function findOne(name, ...args) {
+    const { where, predicate } = filterArgs(...args);
+    for (const { data } of select(name, where).iterate()) {
+      const row = JSON.parse(data);
+      if (matchesWhere(row, where) && predicate(row)) return row;
+    }
+    return undefined;
+  }
+
+  function insert(name, item) {
+    const stmts = table(name);
+    const row = {
+      ...item,
+      id: stmts.nextId.get().id,
+      version: 1,
+      created_at: new Date().toISOString()
+    };
+    stmts.insert.run(row.id, JSON.stringify(row));
+    return row;
+  }
+
+  function update(name, id, updates, options = {}) {
+    const existing = findById(name, id);
+    if (!existing) return null;
+    const version = existing.version || 0;
+    // Rows from before versioning have none: both sides count that as 0
+    if ('expectedVersion' in options && (options.expectedVersion || 0) !== version) {
+      throw new ConflictError();
+    }
+    const row = { ...existing, ...updates, version: version + 1, updated_at: new Date().toISOString() };
+    table(name).update.run(JSON.stringify(row), id);
+    return row;
+  }
+
+  // fn must be synchronous: better-sqlite3 commits as soon as it returns.
+  // Nested calls become savepoints.
+  function transaction(fn) {
+    return db.transaction(fn)();
+  }
+
+  function tableNames() {
+    return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+      .all()
+      .map(row => row.name);
+  }
+
+  // Every collection as { name: rows[] }, for snapshots
+  function exportData() {
+    const snapshot = {};
+    tableNames().forEach(name => { snapshot[name] = findAll(name); });
+    return snapshot;
+  }
+
+  // Replace the whole database, e.g. when restoring a snapshot
+  function importData(snapshot) {
+    transaction(() => {
+      tableNames().forEach(name => db.exec(`DELETE FROM ${name}`));
+      Object.keys(snapshot).forEach(name => {
+        const stmts = table(name);
+        snapshot[name].forEach(row => stmts.insert.run(row.id, JSON.stringify(row)));
+      });
+    });
+  }
+
+  function close() {
+    db.close();
+  }
+
+  collections.forEach(name => table(name));
+
+  // First start on an existing deployment: pull in the old db.json once
+  const legacyFile = path.join(dataDir, 'db.json');
+  if (isNew && fs.existsSync(legacyFile)) {
+    try {
+      const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+      transaction(() => {
+        Object.keys(legacy).forEach(name => {
+          if (!Array.isArray(legacy[name])) return;
+          const stmts = table(name);
+          legacy[name].forEach(row => stmts.insert.run(row.id, JSON.stringify(row)));
+        });
+      });
+      console.log(`Imported ${legacyFile} into ${inMemory ? 'memory' : file}`);
+    } catch (e) {
+      console.error('Failed to import legacy database:', e);
+    }
+  }
+
+  return {
+    driver: 'sqlite',
+    findById,
+    findOne,
+    findAll,
+    insert,
+    update,
+    transaction,
+    exportData,
+    importData,
+    close
+  };
+}
+
+// The database, including anything still in its WAL, as a buffer. SQLite
+// cannot open a WAL database read-only without its shared-memory file, so
+// this opens it normally but only reads.
+function copyOf(file) {
+  const source = new Database(file, { fileMustExist: true });
+  try {
+    const buffer = source.serialize();
+    // The header still says WAL, which an in-memory database cannot open;
+    // bytes 18 and 19 are the read and write format, 1 meaning rollback journal
+    buffer[18] = 1;
+    buffer[19] = 1;
+    return buffer;
+  } finally {
+    source.close();
+  }
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,32 @@
+// Users registered by older builds are missing balance and stats fields
+
+const DEFAULTS = {
+  phone_verified: 0,
+  lichess_username: null,
+  lichess_verified: 0,
+  wallet_balance: 0,
+  reserved_balance: 0,
+  locked_balance: 0,
+  total_staked: 0,
+  total_winnings: 0,
+  matches_won: 0,
+  matches_lost: 0,
+  matches_draw: 0,
+  is_admin: 0
+};
+
+module.exports = {
+  description: 'Backfill missing balance and stats fields on users',
+
+  up({ findAll, update, log }) {
+    findAll('users').forEach(user => {
+      const missing = Object.keys(DEFAULTS).filter(field => user[field] === undefined);
+      if (missing.length === 0) return;
+
+      const fields = {};
+      missing.forEach(field => { fields[field] = DEFAULTS[field]; });
+      update('users', user.id, fields);
+      log(`users ${user.id}: set ${missing.join(', ')}`);
+    });
+  }
+};
@@ -0,0 +1,23 @@
+// Challenges sent before stakes were reserved at send time carry no
+// stake_held flag; they must keep drawing the creator's stake at accept
+
+module.exports = {
+  description: 'Backfill stake_held and fee fields on challenges',
+
+  up({ findAll, update, log }) {
+    findAll('challenges').forEach(challenge => {
+      const fields = {};
+
+      if (challenge.stake_held === undefined) {
+        fields.stake_held = 0;
+      }
+      if (challenge.total_pot === undefined) {
+        fields.total_pot = challenge.stake_amount * 2;
+      }
+
+      if (Object.keys(fields).length === 0) return;
+      update('challenges', challenge.id, fields);
+      log(`challenges ${challenge.id}: set ${Object.keys(fields).join(', ')}`);
+    });
+  }
+};
@@ -0,0 +1,33 @@
+// Matches from older builds lack winner_payout and the appeal/review fields.
+// winner_payout is derived from the fee recorded on the match itself so the
+// result does not depend on the current fee percentage.
+
+module.exports = {
+  description: 'Backfill winner_payout, appeal and review fields on matches',
+
+  up({ findAll, update, log }) {
+    findAll('matches').forEach(match => {
+      const fields = {};
+
+      if (match.winner_payout === undefined) {
+        fields.winner_payout = match.stake_amount * 2 - (match.dx_fee || 0);
+      }
+      if (match.payout_amount === undefined) {
+        fields.payout_amount = 0;
+      }
+      if (match.appeal_deadline === undefined) {
+        fields.appeal_deadline = null;
+      }
+      if (match.appeal_submitted === undefined) {
+        fields.appeal_submitted = 0;
+      }
+      if (match.admin_review === undefined) {
+        fields.admin_review = 0;
+      }
+
+      if (Object.keys(fields).length === 0) return;
+      update('matches', match.id, fields);
+      log(`matches ${match.id}: set ${Object.keys(fields).join(', ')}`);
+    });
+  }
+};
@@ -0,0 +1,14 @@
+// Book balances that predate the double-entry ledger as opening postings
+
+const { createLedger } = require('../lib/ledger');
+
+module.exports = {
+  description: 'Open ledger accounts for balances carried over from before the ledger',
+
+  up(ctx) {
+    const before = ctx.findAll('ledger', p => p.type === 'opening_balance').length;
+    createLedger(ctx).openLegacyBalances();
+    const opened = ctx.findAll('ledger', p => p.type === 'opening_balance').slice(before);
+    opened.forEach(p => ctx.log(`ledger: ${p.reference_id} ${p.legs.map(l => `${l.account} ${l.amount}`).join(', ')}`));
+  }
+};
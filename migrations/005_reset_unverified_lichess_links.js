@@ -0,0 +1,13 @@
+// Before OAuth, lichess-link marked any typed username as verified. Those
+// links prove nothing, so users must link again through Lichess OAuth.
+
+module.exports = {
+  description: 'Clear verification on self-declared Lichess links',
+
+  up({ findAll, update, log }) {
+    findAll('users', u => u.lichess_verified && !u.lichess_linked_at).forEach(user => {
+      update('users', user.id, { lichess_verified: 0 });
+      log(`users ${user.id}: ${user.lichess_username} needs to be re-linked through Lichess`);
+    });
+  }
+};
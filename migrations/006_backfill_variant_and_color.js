@@ -0,0 +1,18 @@
+// Challenges and matches from before variant and color selection were all
+// standard chess with a random color
+
+module.exports = {
+  description: 'Backfill variant and color on challenges and matches',
+
+  up({ findAll, update, log }) {
+    ['challenges', 'matches'].forEach(collection => {
+      findAll(collection, r => r.variant === undefined || r.color === undefined).forEach(record => {
+        update(collection, record.id, {
+          variant: record.variant || 'standard',
+          color: record.color || 'random'
+        });
+        log(`${collection} ${record.id}: set variant, color`);
+      });
+    });
+  }
+};
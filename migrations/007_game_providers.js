@@ -0,0 +1,37 @@
+// Everything before game providers was played on Lichess. Settled matches
+// kept their deciding game in the lichess_* fields, which now only describe
+// the game DX opened on Lichess; the result lives in game_id/url/status.
+
+module.exports = {
+  description: 'Record the game provider on users, challenges and matches',
+
+  up({ findAll, update, log }) {
+    findAll('users', u => u.chesscom_username === undefined).forEach(user => {
+      update('users', user.id, { chesscom_username: null, chesscom_verified: 0 });
+      log(`users ${user.id}: set chesscom_username, chesscom_verified`);
+    });
+
+    findAll('challenges', c => c.provider === undefined).forEach(challenge => {
+      update('challenges', challenge.id, {
+        provider: 'lichess',
+        creator_account: challenge.creator_lichess || null,
+        opponent_account: challenge.opponent_lichess || null
+      });
+      log(`challenges ${challenge.id}: set provider, creator_account, opponent_account`);
+    });
+
+    findAll('matches', m => m.provider === undefined).forEach(match => {
+      const fields = { provider: 'lichess' };
+
+      const settled = !['in_progress', 'result_pending'].includes(match.status);
+      if (settled && match.lichess_game_id && match.game_id === undefined) {
+        fields.game_id = match.lichess_game_id;
+        fields.game_url = match.lichess_game_url || `https://lichess.org/${match.lichess_game_id}`;
+        fields.game_status = match.lichess_status || null;
+      }
+
+      update('matches', match.id, fields);
+      log(`matches ${match.id}: set ${Object.keys(fields).join(', ')}`);
+    });
+  }
+};
@@ -5,6 +5,10 @@ const API_BASE = '/api';
 // State
 let currentUser = null;
 let authToken = localStorage.getItem('dx_auth_token');
+let queuePollTimer = null;
+
+// Idempotency keys for in-flight money-moving requests, by action
+const idempotencyKeys = {};
 
 // ================== INITIALIZATION ==================
 
@@ -22,6 +26,8 @@ async function initializeApp() {
   } else {
     showAuth();
   }
+  
+  handleLichessRedirect();
 }
 
 // ================== AUTHENTICATION ==================
@@ -109,10 +115,10 @@ async function loadUserProfile() {
     
     currentUser = await response.json();
     
-    // Check if Lichess account is linked
-    if (!currentUser.lichess_username) {
+    // Check if a chess account is linked
+    if (!currentUser.lichess_verified && !currentUser.chesscom_verified && !new URLSearchParams(window.location.search).has('lichess')) {
       setTimeout(() => {
-        openModal('lichessModal');
+        showAccountsModal();
       }, 1000);
     }
   } catch (error) {
@@ -163,9 +169,13 @@ function showApp() {
   
   // Load initial data
   loadDashboard();
+  loadNotificationCount();
 }
 
 function showSection(section) {
+  stopQueuePolling();
+  loadNotificationCount();
+  
   // Hide all sections
   document.querySelectorAll('.section-container').forEach(s => s.classList.add('hidden'));
   
@@ -176,6 +186,8 @@ function showSection(section) {
   // Show selected section
   const sectionMap = {
     'dashboard': 'dashboardSection',
+    'lobby': 'lobbySection',
+    'matchmaking': 'matchmakingSection',
     'challenges': 'challengesSection',
     'send-challenge': 'send-challengeSection',
     'matches': 'matchesSection',
@@ -193,6 +205,12 @@ function showSection(section) {
     case 'dashboard':
       loadDashboard();
       break;
+    case 'lobby':
+      loadLobby();
+      break;
+    case 'matchmaking':
+      loadQueueStatus();
+      break;
     case 'challenges':
       loadReceivedChallenges();
       loadSentChallenges();
@@ -220,6 +238,7 @@ async function loadDashboard() {
   if (!currentUser) return;
   
   document.getElementById('walletBalance').textContent = formatNumber(currentUser.wallet_balance);
+  document.getElementById('reservedBalance').textContent = formatNumber(currentUser.reserved_balance || 0);
   document.getElementById('lockedBalance').textContent = formatNumber(currentUser.locked_balance || 0);
   document.getElementById('matchesWon').textContent = currentUser.matches_won || 0;
   document.getElementById('winRate').textContent = currentUser.win_rate || 0;
@@ -246,15 +265,17 @@ async function loadPendingChallenges() {
     container.innerHTML = challenges.map(ch => `
       <div class="challenge-card pending">
         <div class="challenge-header">
-          <span class="challenge-creator">${escapeHtml(ch.creator_username)}</span>
+          <span class="challenge-creator">${escapeHtml(ch.creator_username)}${ch.parent_challenge_id ? ' (counter-offer)' : ch.rematch_of ? ' (rematch)' : ''}</span>
           <span class="challenge-stake">₦${formatNumber(ch.stake_amount)}</span>
         </div>
         <div class="challenge-details">
-          <span>⏱️ ${ch.time_control}</span>
+          <span>⏱️ ${escapeHtml(ch.time_control)}</span>
           <span>${ch.is_rated ? '⭐ Rated' : '⚡ Casual'}</span>
+          ${gameTermsDetails(ch)}
         </div>
         <div class="challenge-actions">
           <button class="btn btn-success btn-sm" onclick="acceptChallenge('${ch.challenge_code}')">Accept</button>
+          <button class="btn btn-outline btn-sm" onclick="showCounterModal('${ch.challenge_code}')">Counter</button>
           <button class="btn btn-danger btn-sm" onclick="declineChallenge('${ch.challenge_code}')">Decline</button>
         </div>
       </div>
@@ -285,9 +306,13 @@ async function loadActiveMatchesForDashboard() {
           <span class="match-stake">₦${formatNumber(m.stake_amount)}</span>
         </div>
         <div class="match-details">
-          <span>⏱️ ${m.time_control}</span>
+          <span>⏱️ ${escapeHtml(m.time_control)}</span>
           <span>${m.is_rated ? '⭐ Rated' : '⚡ Casual'}</span>
+          ${gameTermsDetails(m)}
         </div>
+        ${seriesGamesList(m)}
+        ${liveGameStatus(m)}
+        ${playOnLichessLink(m)}
         <button class="btn btn-primary btn-block" onclick="showSubmitResult(${m.id})">
           Submit Game Result
         </button>
@@ -298,6 +323,264 @@ async function loadActiveMatchesForDashboard() {
   }
 }
 
+// Live state of the match's Lichess game, from the server's stream tracking
+function liveGameStatus(m) {
+  if (m.status === 'result_pending') {
+    return '<div class="live-status">⏳ Game over, recording the result...</div>';
+  }
+  if (!m.live || m.live.status !== 'started') return '';
+  
+  const clock = seconds => seconds == null ? '--:--' : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  return `
+    <div class="live-status">
+      🔴 Game in progress · move ${Math.max(1, Math.ceil(m.live.ply / 2))} · ♔ ${clock(m.live.white_clock)} ♚ ${clock(m.live.black_clock)}
+    </div>
+  `;
+}
+
+const PROVIDER_NAMES = {
+  lichess: 'Lichess',
+  chesscom: 'Chess.com'
+};
+
+const VARIANT_NAMES = {
+  standard: 'Standard',
+  chess960: 'Chess960',
+  crazyhouse: 'Crazyhouse',
+  antichess: 'Antichess',
+  atomic: 'Atomic',
+  horde: 'Horde',
+  kingOfTheHill: 'King of the Hill',
+  racingKings: 'Racing Kings',
+  threeCheck: 'Three-check'
+};
+
+// Site, variant and the viewer's color for a challenge or match. The stored
+// color is the creator's, so the opponent sees the other side.
+function gameTermsDetails(item) {
+  let color = item.creator_color || item.color || 'random';
+  if (item.creator_id !== currentUser.id && color !== 'random') {
+    color = color === 'white' ? 'black' : 'white';
+  }
+  
+  return `
+    <span>🌐 ${PROVIDER_NAMES[item.provider || 'lichess']}</span>
+    <span>♟️ ${VARIANT_NAMES[item.variant || 'standard']}</span>
+    <span>${color === 'random' ? '🎲 Random color' : `${color === 'white' ? '♔' : '♚'} You play ${color}`}</span>
+    ${seriesDetails(item)}
+  `;
+}
+
+// Series terms, and for a match the score from the viewer's side
+function seriesDetails(item) {
+  if (!item.series) return '';
+  
+  const { format, games, tiebreak } = item.series;
+  let details = `<span>🏁 ${format === 'best_of' ? `Best of ${games}` : `${games} games`}, ${tiebreak === 'split' ? 'split if level' : 'sudden death if level'}</span>`;
+  if (item.score) {
+    const mine = item.creator_id === currentUser.id ? item.score.creator : item.score.opponent;
+    const theirs = item.creator_id === currentUser.id ? item.score.opponent : item.score.creator;
+    details += `<span>📊 Score ${mine}-${theirs} after ${item.games_played || 0} game${item.games_played === 1 ? '' : 's'}</span>`;
+  }
+  return details;
+}
+
+// One line per finished game of a series, from the viewer's side
+function seriesGamesList(m) {
+  if (!m.series_games || m.series_games.length === 0) return '';
+  
+  const mySide = m.creator_id === currentUser.id ? 'creator' : 'opponent';
+  return `
+    <div class="series-games">
+      ${m.series_games.map(g => `
+        <div class="series-game">
+          <span>Game ${g.number}${g.tiebreak ? ' (tiebreak)' : ''}</span>
+          <span>${g.result === 'draw' ? '🤝 Draw' : g.result === mySide ? '🏆 Won' : '❌ Lost'}</span>
+          ${g.game_url ? `<a href="${g.game_url}" target="_blank">View</a>` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Link to the Lichess game DX opened for this match, with the player's color
+function playOnLichessLink(m) {
+  const url = m.creator_id === currentUser.id ? m.creator_game_url : m.opponent_game_url;
+  if (!url) return '';
+  return `
+    <a href="${url}" target="_blank" class="btn btn-outline btn-block" style="margin-bottom: 8px;">
+      ♟️ Play on Lichess
+    </a>
+  `;
+}
+
+// ================== LOBBY ==================
+
+async function loadLobby(event) {
+  if (event) event.preventDefault();
+  
+  const filters = {
+    min_stake: document.getElementById('lobbyMinStake').value,
+    max_stake: document.getElementById('lobbyMaxStake').value,
+    time_control: document.getElementById('lobbyTimeControl').value,
+    rated: document.getElementById('lobbyRated').value
+  };
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== ''));
+  
+  try {
+    const response = await fetch(`${API_BASE}/challenges/open?${query}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const challenges = await response.json();
+    const container = document.getElementById('lobbyChallenges');
+    
+    if (!response.ok) {
+      throw new Error(challenges.error || 'Failed to load the lobby');
+    }
+    
+    if (challenges.length === 0) {
+      container.innerHTML = '<p class="empty-state">No open challenges match. Post your own from New Challenge.</p>';
+      return;
+    }
+    
+    container.innerHTML = challenges.map(ch => `
+      <div class="challenge-card received">
+        <div class="challenge-header">
+          <span class="challenge-from">From: ${escapeHtml(ch.creator_username)}</span>
+          <span class="challenge-stake">₦${formatNumber(ch.stake_amount)}</span>
+        </div>
+        <div class="challenge-details">
+          <span>⏱️ ${escapeHtml(ch.time_control)}</span>
+          <span>${ch.is_rated ? '⭐ Rated' : '⚡ Casual'}</span>
+          ${gameTermsDetails(ch)}
+        </div>
+        <div class="fee-preview">
+          <small>Winner gets: ₦${formatNumber(ch.winner_payout)} · Expires ${formatDate(ch.expires_at)}</small>
+        </div>
+        <div class="challenge-actions">
+          <button class="btn btn-success" onclick="acceptChallenge('${ch.challenge_code}')">Accept</button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    document.getElementById('lobbyChallenges').innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// ================== MATCHMAKING ==================
+
+// Polls the queue status every few seconds while the player waits
+function stopQueuePolling() {
+  clearInterval(queuePollTimer);
+  queuePollTimer = null;
+}
+
+async function loadQueueStatus() {
+  try {
+    const response = await fetch(`${API_BASE}/matchmaking/status`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const { entry } = await response.json();
+    renderQueueStatus(entry);
+    
+    if (entry && entry.status === 'waiting') {
+      if (!queuePollTimer) queuePollTimer = setInterval(loadQueueStatus, 3000);
+    } else {
+      stopQueuePolling();
+    }
+  } catch (error) {
+    console.error('Failed to load queue status:', error);
+  }
+}
+
+function renderQueueStatus(entry) {
+  const form = document.getElementById('matchmakingForm');
+  const container = document.getElementById('queueStatus');
+  const waiting = entry && entry.status === 'waiting';
+  
+  form.classList.toggle('hidden', waiting);
+  container.classList.toggle('hidden', !entry || entry.status === 'left');
+  if (!entry) return;
+  
+  if (waiting) {
+    container.innerHTML = `
+      <div class="match-details-preview">
+        <p><strong>🔎 Looking for an opponent...</strong></p>
+        <p>₦${formatNumber(entry.stake_amount)} · ⏱️ ${escapeHtml(entry.time_control)} · ${entry.is_rated ? '⭐ Rated' : '⚡ Casual'}</p>
+        <p>Your rating: ${entry.rating} · Accepting ${entry.min_rating}–${entry.max_rating}</p>
+        <p>${entry.players_waiting} other player(s) waiting with these terms, ${entry.players_in_range} in your range</p>
+        <p><small>Waiting since ${formatDate(entry.created_at)} · leaves the queue ${formatDate(entry.expires_at)}</small></p>
+      </div>
+      <button class="btn btn-outline btn-block" onclick="leaveQueue()">Leave Queue</button>
+    `;
+  } else if (entry.status === 'matched' && entry.match) {
+    const m = entry.match;
+    container.innerHTML = `
+      <div class="match-details-preview">
+        <p><strong>✅ Opponent found!</strong></p>
+        <p>₦${formatNumber(m.stake_amount)} · ⏱️ ${escapeHtml(m.time_control)} · both stakes are in escrow</p>
+      </div>
+      ${playOnLichessLink(m)}
+      <button class="btn btn-primary btn-block" onclick="showSection('matches')">Go to Matches</button>
+    `;
+  } else if (entry.status === 'expired') {
+    container.innerHTML = '<p class="empty-state">Your last queue entry expired without an opponent and the stake was returned.</p>';
+  }
+}
+
+async function handleJoinQueue(event) {
+  event.preventDefault();
+  
+  const stake_amount = parseFloat(document.getElementById('queueStake').value);
+  const time_control = document.getElementById('queueTimeControl').value;
+  const is_rated = document.querySelector('input[name="queueRated"]:checked').value === 'true';
+  const min_rating = document.getElementById('queueMinRating').value;
+  const max_rating = document.getElementById('queueMaxRating').value;
+  
+  try {
+    const response = await idempotentFetch(`${API_BASE}/matchmaking/join`, `queue:${stake_amount}:${time_control}:${is_rated}:${min_rating}:${max_rating}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${authToken}`
+      },
+      body: JSON.stringify({ stake_amount, time_control, is_rated, min_rating, max_rating })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to join the queue');
+    }
+    
+    showToast(data.message, 'success');
+    loadQueueStatus();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function leaveQueue() {
+  try {
+    const response = await fetch(`${API_BASE}/matchmaking`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to leave the queue');
+    }
+    
+    showToast(data.message, 'success');
+    loadQueueStatus();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 // ================== CHALLENGES ==================
 
 async function loadReceivedChallenges() {
@@ -317,18 +600,21 @@ async function loadReceivedChallenges() {
     container.innerHTML = challenges.map(ch => `
       <div class="challenge-card received">
         <div class="challenge-header">
-          <span class="challenge-from">From: ${escapeHtml(ch.creator_username)}</span>
+          <span class="challenge-from">${ch.parent_challenge_id ? 'Counter-offer from' : ch.rematch_of ? 'Rematch from' : 'From'}: ${escapeHtml(ch.creator_username)}</span>
           <span class="challenge-stake">₦${formatNumber(ch.stake_amount)}</span>
         </div>
         <div class="challenge-details">
-          <span>⏱️ ${ch.time_control}</span>
+          <span>⏱️ ${escapeHtml(ch.time_control)}</span>
           <span>${ch.is_rated ? '⭐ Rated' : '⚡ Casual'}</span>
+          ${gameTermsDetails(ch)}
         </div>
+        ${negotiationHistory(ch)}
         <div class="fee-preview">
           <small>Winner gets: ₦${formatNumber(ch.winner_payout)}</small>
         </div>
         <div class="challenge-actions">
           <button class="btn btn-success" onclick="acceptChallenge('${ch.challenge_code}')">Accept</button>
+          <button class="btn btn-outline" onclick="showCounterModal('${ch.challenge_code}')">Counter</button>
           <button class="btn btn-outline" onclick="declineChallenge('${ch.challenge_code}')">Decline</button>
         </div>
       </div>
@@ -367,6 +653,12 @@ async function loadSentChallenges() {
         case 'cancelled':
           statusBadge = '<span class="status-badge">Cancelled</span>';
           break;
+        case 'expired':
+          statusBadge = '<span class="status-badge">Expired</span>';
+          break;
+        case 'countered':
+          statusBadge = '<span class="status-badge pending">Countered</span>';
+          break;
         default:
           statusBadge = `<span class="status-badge">${ch.status}</span>`;
       }
@@ -374,13 +666,15 @@ async function loadSentChallenges() {
       return `
         <div class="challenge-card sent">
           <div class="challenge-header">
-            <span class="challenge-to">To: ${escapeHtml(ch.opponent_username)}</span>
+            <span class="challenge-to">${ch.opponent_username ? `To: ${escapeHtml(ch.opponent_username)}` : 'Open challenge (Lobby)'}</span>
             <span class="challenge-stake">₦${formatNumber(ch.stake_amount)}</span>
           </div>
           <div class="challenge-details">
-            <span>⏱️ ${ch.time_control}</span>
+            <span>⏱️ ${escapeHtml(ch.time_control)}</span>
             <span>${ch.is_rated ? '⭐ Rated' : '⚡ Casual'}</span>
+            ${gameTermsDetails(ch)}
           </div>
+          ${negotiationHistory(ch)}
           <div class="challenge-status">
             ${statusBadge}
           </div>
@@ -403,16 +697,30 @@ function switchChallengeTab(tab) {
   document.getElementById('sentChallenges').classList.toggle('hidden', tab !== 'sent');
 }
 
+// Earlier rounds of a negotiated challenge, oldest first
+function negotiationHistory(ch) {
+  if (!ch.negotiation || ch.negotiation.length < 2) return '';
+  
+  return `
+    <div class="fee-preview">
+      ${ch.negotiation.map((round, i) => `
+        <small>Round ${i + 1}: ${escapeHtml(round.proposed_by)} offered ₦${formatNumber(round.stake_amount)} · ${escapeHtml(round.time_control)} · ${round.is_rated ? 'Rated' : 'Casual'}</small><br>
+      `).join('')}
+    </div>
+  `;
+}
+
 async function acceptChallenge(challengeCode) {
   try {
-    const response = await fetch(`${API_BASE}/challenges/${challengeCode}/accept`, {
-      method: 'POST',
+    const response = await idempotentFetch(`${API_BASE}/challenges/${challengeCode}/accept`, `accept:${challengeCode}`, {
       headers: { 'Authorization': `Bearer ${authToken}` }
     });
     
     const data = await response.json();
     
     if (!response.ok) {
+      // Someone else may have taken an open challenge first
+      loadLobby();
       throw new Error(data.error || 'Failed to accept challenge');
     }
     
@@ -425,6 +733,60 @@ async function acceptChallenge(challengeCode) {
   }
 }
 
+async function showCounterModal(challengeCode) {
+  try {
+    const response = await fetch(`${API_BASE}/challenges/pending`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const challenge = (await response.json()).find(ch => ch.challenge_code === challengeCode);
+    if (!challenge) {
+      throw new Error('Challenge not found or expired');
+    }
+    
+    document.getElementById('counterCode').value = challengeCode;
+    document.getElementById('counterStake').value = challenge.stake_amount;
+    document.getElementById('counterTimeControl').value = challenge.time_control;
+    document.querySelector(`input[name="counterRated"][value="${!!challenge.is_rated}"]`).checked = true;
+    openModal('counterModal');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleCounterChallenge(event) {
+  event.preventDefault();
+  
+  const challengeCode = document.getElementById('counterCode').value;
+  const stake_amount = parseFloat(document.getElementById('counterStake').value);
+  const time_control = document.getElementById('counterTimeControl').value;
+  const is_rated = document.querySelector('input[name="counterRated"]:checked').value === 'true';
+  
+  try {
+    const response = await idempotentFetch(`${API_BASE}/challenges/${challengeCode}/counter`, `counter:${challengeCode}:${stake_amount}:${time_control}:${is_rated}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${authToken}`
+      },
+      body: JSON.stringify({ stake_amount, time_control, is_rated })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to send counter-offer');
+    }
+    
+    showToast(data.message, 'success');
+    closeModal('counterModal');
+    loadDashboard();
+    loadReceivedChallenges();
+    loadSentChallenges();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 async function declineChallenge(challengeCode) {
   try {
     const response = await fetch(`${API_BASE}/challenges/${challengeCode}/decline`, {
@@ -474,6 +836,26 @@ async function cancelChallenge(challengeCode) {
 function initChallengeForm() {
   // Add event listeners for fee calculation
   document.getElementById('challengeStake').addEventListener('input', updateChallengeFeePreview);
+  loadExpiryLimits();
+}
+
+// Admins set how long a challenge may stay open
+async function loadExpiryLimits() {
+  try {
+    const response = await fetch(`${API_BASE}/challenges/expiry-limits`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const limits = await response.json();
+    const input = document.getElementById('challengeExpiry');
+    input.min = limits.min_minutes;
+    input.max = limits.max_minutes;
+    input.placeholder = `Default: ${limits.default_minutes}`;
+    document.getElementById('challengeExpiryHint').textContent =
+      `Between ${limits.min_minutes} and ${limits.max_minutes} minutes. Unanswered challenges expire and your stake is returned.`;
+  } catch (error) {
+    console.error('Failed to load expiry limits:', error);
+  }
 }
 
 function updateChallengeFeePreview() {
@@ -495,15 +877,22 @@ async function handleSendChallenge(event) {
   const stake_amount = parseFloat(document.getElementById('challengeStake').value);
   const time_control = document.getElementById('challengeTimeControl').value;
   const is_rated = document.querySelector('input[name="challengeRated"]:checked').value === 'true';
+  const provider = document.getElementById('challengeProvider').value;
+  const variant = document.getElementById('challengeVariant').value;
+  const color = document.querySelector('input[name="challengeColor"]:checked').value;
+  const expiry = document.getElementById('challengeExpiry').value;
+  const expires_in_minutes = expiry ? parseInt(expiry) : undefined;
+  const series = document.getElementById('challengeSeries').value;
+  const [series_format, series_games] = series.split(':');
+  const tiebreak = document.getElementById('challengeTiebreak').value;
   
   try {
-    const response = await fetch(`${API_BASE}/challenges/send`, {
-      method: 'POST',
+    const response = await idempotentFetch(`${API_BASE}/challenges/send`, `send:${opponent_username}:${stake_amount}:${time_control}:${provider}:${variant}:${color}:${expiry}:${series}:${tiebreak}`, {
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${authToken}`
       },
-      body: JSON.stringify({ opponent_username, stake_amount, time_control, is_rated })
+      body: JSON.stringify({ opponent_username, stake_amount, time_control, is_rated, variant, color, provider, expires_in_minutes, series_format, series_games, tiebreak })
     });
     
     const data = await response.json();
@@ -512,7 +901,7 @@ async function handleSendChallenge(event) {
       throw new Error(data.error || 'Failed to send challenge');
     }
     
-    showToast(`Challenge sent to ${opponent_username}!`, 'success');
+    showToast(opponent_username ? `Challenge sent to ${opponent_username}!` : 'Open challenge posted to the lobby!', 'success');
     
     // Reset form
     document.getElementById('sendChallengeForm').reset();
@@ -549,9 +938,12 @@ async function loadActiveMatches() {
           <span class="match-stake">₦${formatNumber(m.stake_amount)}</span>
         </div>
         <div class="match-details">
-          <span>⏱️ ${m.time_control}</span>
+          <span>⏱️ ${escapeHtml(m.time_control)}</span>
           <span>${m.is_rated ? '⭐ Rated' : '⚡ Casual'}</span>
+          ${gameTermsDetails(m)}
         </div>
+        ${liveGameStatus(m)}
+        ${playOnLichessLink(m)}
         <button class="btn btn-primary btn-block" onclick="showSubmitResult(${m.id})">
           Submit Game Result
         </button>
@@ -588,7 +980,9 @@ async function loadAwaitingMatches() {
         <div class="match-details">
           <span>Result: ${m.winner_id ? (m.winner_id === currentUser.id ? 'You Won!' : 'You Lost') : 'Draw'}</span>
           <span>⏰ Appeal deadline: ${formatDate(m.appeal_deadline)}</span>
+          ${seriesDetails(m)}
         </div>
+        ${seriesGamesList(m)}
         ${m.status === 'awaiting_appeal' ? `
           <button class="btn btn-warning" onclick="showAppeal(${m.id})">Submit Appeal</button>
         ` : ''}
@@ -628,18 +1022,27 @@ async function loadCompletedMatches() {
             <span class="status-badge ${statusClass}">${m.status}</span>
           </div>
           <div class="match-details">
-            <span>⏱️ ${m.time_control}</span>
+            <span>⏱️ ${escapeHtml(m.time_control)}</span>
             <span>Stake: ₦${formatNumber(m.stake_amount)}</span>
+            ${seriesDetails(m)}
           </div>
+          ${seriesGamesList(m)}
           <div class="match-result">
             <strong>${m.winner_id === currentUser.id ? '🏆 You Won!' : m.winner_id ? '❌ You Lost' : '🤝 Draw'}</strong>
             ${m.winner_id === currentUser.id ? `<br>Payout: ₦${formatNumber(m.payout_amount || 0)}` : ''}
+            ${m.head_to_head ? `<br>🔁 Head-to-head: ${m.head_to_head.won}W ${m.head_to_head.lost}L ${m.head_to_head.drawn}D over ${m.head_to_head.matches} matches` : ''}
           </div>
-          ${m.lichess_game_url ? `
-            <a href="${m.lichess_game_url}" target="_blank" class="btn btn-outline btn-sm" style="margin-top: 8px;">
-              View Game
+          ${rematchAction(m)}
+          ${m.game_url ? `
+            <a href="${m.game_url}" target="_blank" class="btn btn-outline btn-sm" style="margin-top: 8px;">
+              View Game on ${PROVIDER_NAMES[m.provider || 'lichess']}
             </a>
           ` : ''}
+          ${m.pgn || m.games_played ? `
+            <button class="btn btn-outline btn-sm" style="margin-top: 8px;" onclick="downloadPgn('/matches/${m.id}/pgn', 'dx-match-${m.id}.pgn')">
+              Download PGN
+            </button>
+          ` : ''}
         </div>
       `;
     }).join('');
@@ -648,6 +1051,29 @@ async function loadCompletedMatches() {
   }
 }
 
+// PGN downloads need the auth header, so fetch the file and save it locally
+async function downloadPgn(path, filename) {
+  try {
+    const response = await fetch(`${API_BASE}${path}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Download failed');
+    }
+    
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 function switchMatchTab(tab) {
   document.querySelectorAll('#matchesSection .tab').forEach(t => t.classList.remove('active'));
   event.target.classList.add('active');
@@ -675,10 +1101,13 @@ function showSubmitResult(matchId) {
     const match = matches.find(m => m.id === matchId);
     if (!match) return;
     
+    document.getElementById('resultGameId').value = match.lichess_game_id || '';
+    
     document.getElementById('matchDetailsPreview').innerHTML = `
       <p><strong>Opponent:</strong> ${escapeHtml(match.opponent_username || 'TBD')}</p>
       <p><strong>Stake:</strong> ₦${formatNumber(match.stake_amount)}</p>
-      <p><strong>Time Control:</strong> ${match.time_control}</p>
+      <p><strong>Time Control:</strong> ${escapeHtml(match.time_control)}</p>
+      <p><strong>Variant:</strong> ${VARIANT_NAMES[match.variant || 'standard']}</p>
       <p><strong>Winner Receives:</strong> ₦${formatNumber(match.stake_amount * 2 * 0.985)}</p>
     `;
     
@@ -690,20 +1119,15 @@ async function handleSubmitResult(event) {
   event.preventDefault();
   
   const matchId = document.getElementById('submitMatchId').value;
-  const lichessGameId = document.getElementById('lichessGameId').value.trim();
-  const lichessGameUrl = document.getElementById('lichessGameUrl').value.trim();
+  const gameId = document.getElementById('resultGameId').value.trim();
   
   try {
-    const response = await fetch(`${API_BASE}/matches/${matchId}/submit-result`, {
-      method: 'POST',
+    const response = await idempotentFetch(`${API_BASE}/matches/${matchId}/submit-result`, `submit:${matchId}:${gameId}`, {
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${authToken}`
       },
-      body: JSON.stringify({ 
-        lichess_game_id: lichessGameId,
-        lichess_game_url: lichessGameUrl || `https://lichess.org/${lichessGameId}`
-      })
+      body: JSON.stringify({ game_id: gameId || undefined })
     });
     
     const data = await response.json();
@@ -766,8 +1190,7 @@ async function handleAppeal(event) {
 
 async function processDisbursement(matchId) {
   try {
-    const response = await fetch(`${API_BASE}/matches/${matchId}/process-disbursement`, {
-      method: 'POST',
+    const response = await idempotentFetch(`${API_BASE}/matches/${matchId}/process-disbursement`, `disburse:${matchId}`, {
       headers: { 'Authorization': `Bearer ${authToken}` }
     });
     
@@ -784,6 +1207,48 @@ async function processDisbursement(matchId) {
   }
 }
 
+// Rematch button for a paid-out match, or the offer waiting on it
+function rematchAction(m) {
+  if (m.status !== 'disbursed') return '';
+  
+  const offer = m.pending_rematch;
+  if (offer && offer.creator_id === currentUser.id) {
+    return '<div class="fee-preview"><small>🔁 Rematch offered, waiting for an answer</small></div>';
+  }
+  if (offer) {
+    return `
+      <button class="btn btn-success btn-sm" style="margin-top: 8px;" onclick="acceptChallenge('${offer.challenge_code}')">
+        Accept Rematch from ${escapeHtml(offer.creator_username)}
+      </button>
+    `;
+  }
+  return `
+    <button class="btn btn-primary btn-sm" style="margin-top: 8px;" onclick="requestRematch(${m.id})">
+      🔁 Rematch
+    </button>
+  `;
+}
+
+async function requestRematch(matchId) {
+  try {
+    const response = await idempotentFetch(`${API_BASE}/matches/${matchId}/rematch`, `rematch:${matchId}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to offer rematch');
+    }
+    
+    showToast(data.message, 'success');
+    loadDashboard();
+    loadCompletedMatches();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 // ================== WALLET ==================
 
 async function loadWallet() {
@@ -795,6 +1260,7 @@ async function loadWallet() {
     const data = await response.json();
     
     document.getElementById('walletBalanceDisplay').textContent = formatNumber(data.available);
+    document.getElementById('walletReservedDisplay').textContent = formatNumber(data.reserved);
     document.getElementById('walletLockedDisplay').textContent = formatNumber(data.locked);
     
     loadTransactions();
@@ -826,8 +1292,8 @@ async function loadTransactions() {
           <div class="transaction-description">${escapeHtml(tx.description)}</div>
           <div class="transaction-date">${formatDate(tx.created_at)}</div>
         </div>
-        <div class="transaction-amount ${['deposit', 'winning', 'refund'].includes(tx.type) ? 'positive' : 'negative'}">
-          ${['deposit', 'winning', 'refund'].includes(tx.type) ? '+' : '-'}₦${formatNumber(tx.amount)}
+        <div class="transaction-amount ${['deposit', 'winning', 'refund', 'release'].includes(tx.type) ? 'positive' : 'negative'}">
+          ${['deposit', 'winning', 'refund', 'release'].includes(tx.type) ? '+' : '-'}₦${formatNumber(tx.amount)}
         </div>
       </div>
     `).join('');
@@ -842,8 +1308,7 @@ async function handleDeposit(event) {
   const amount = parseFloat(document.getElementById('depositAmount').value);
   
   try {
-    const response = await fetch(`${API_BASE}/wallet/deposit`, {
-      method: 'POST',
+    const response = await idempotentFetch(`${API_BASE}/wallet/deposit`, `deposit:${amount}`, {
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${authToken}`
@@ -872,8 +1337,7 @@ async function handleWithdraw(event) {
   const amount = parseFloat(document.getElementById('withdrawAmount').value);
   
   try {
-    const response = await fetch(`${API_BASE}/wallet/withdraw`, {
-      method: 'POST',
+    const response = await idempotentFetch(`${API_BASE}/wallet/withdraw`, `withdraw:${amount}`, {
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${authToken}`
@@ -895,32 +1359,197 @@ async function handleWithdraw(event) {
   }
 }
 
-// ================== LICHESS ==================
+// ================== NOTIFICATIONS ==================
 
-async function handleLinkLichess(event) {
-  event.preventDefault();
+async function loadNotificationCount() {
+  if (!authToken) return;
   
-  const lichessUsername = document.getElementById('lichessUsername').value.trim();
+  try {
+    const response = await fetch(`${API_BASE}/notifications`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const { unread } = await response.json();
+    const badge = document.getElementById('notificationCount');
+    badge.textContent = unread;
+    badge.classList.toggle('hidden', !unread);
+  } catch (error) {
+    console.error('Failed to load notifications:', error);
+  }
+}
+
+// Opening the list marks everything read
+async function showNotifications() {
+  openModal('notificationsModal');
+  const container = document.getElementById('notificationsList');
   
   try {
-    const response = await fetch(`${API_BASE}/user/lichess-link`, {
+    const response = await fetch(`${API_BASE}/notifications`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const { notifications } = await response.json();
+    
+    container.innerHTML = notifications.length === 0
+      ? '<p class="empty-state">No notifications yet</p>'
+      : notifications.map(n => `
+        <div class="transaction-item">
+          <div class="transaction-details">
+            <div class="transaction-description">${n.read_at ? '' : '🔵 '}${escapeHtml(n.message)}</div>
+            <div class="transaction-date">${formatDate(n.created_at)}</div>
+          </div>
+        </div>
+      `).join('');
+    
+    await fetch(`${API_BASE}/notifications/read`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    loadNotificationCount();
+  } catch (error) {
+    container.innerHTML = '<p class="empty-state">Failed to load notifications</p>';
+  }
+}
+
+// ================== LINKED ACCOUNTS ==================
+
+function showAccountsModal() {
+  const linked = !!(currentUser && currentUser.lichess_verified);
+  document.getElementById('lichessUnlinked').classList.toggle('hidden', linked);
+  document.getElementById('lichessLinked').classList.toggle('hidden', !linked);
+  document.getElementById('lichessLinkedName').textContent = linked ? currentUser.lichess_username : '';
+  
+  const chesscomLinked = !!(currentUser && currentUser.chesscom_verified);
+  document.getElementById('chesscomUnlinked').classList.toggle('hidden', chesscomLinked);
+  document.getElementById('chesscomLinked').classList.toggle('hidden', !chesscomLinked);
+  document.getElementById('chesscomLinkedName').textContent = chesscomLinked ? currentUser.chesscom_username : '';
+  document.getElementById('chesscomCodeBox').classList.add('hidden');
+  openModal('accountsModal');
+}
+
+// Sends the browser to Lichess; it comes back through the OAuth callback
+async function startLichessLink() {
+  try {
+    const response = await fetch(`${API_BASE}/user/lichess/oauth/start`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to start Lichess login');
+    }
+    
+    window.location.href = data.authorize_url;
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// The OAuth callback redirects to /?lichess=linked|error&message=...
+function handleLichessRedirect() {
+  const params = new URLSearchParams(window.location.search);
+  const status = params.get('lichess');
+  if (!status) return;
+  
+  showToast(params.get('message') || 'Lichess login finished', status === 'linked' ? 'success' : 'error');
+  window.history.replaceState({}, '', window.location.pathname);
+}
+
+async function unlinkLichess() {
+  if (!confirm('Unlink your Lichess account? You will need to link one again before playing.')) return;
+  
+  try {
+    const response = await fetch(`${API_BASE}/user/lichess`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to unlink Lichess account');
+    }
+    
+    currentUser.lichess_username = null;
+    currentUser.lichess_verified = 0;
+    closeModal('accountsModal');
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Chess.com: DX hands out a code, the user puts it in their profile's
+// Location field, and Verify checks it through the public API
+async function startChesscomLink() {
+  const username = document.getElementById('chesscomUsername').value.trim();
+  
+  try {
+    const response = await fetch(`${API_BASE}/user/chesscom/link`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${authToken}`
       },
-      body: JSON.stringify({ lichess_username: lichessUsername })
+      body: JSON.stringify({ username })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to start Chess.com linking');
+    }
+    
+    document.getElementById('chesscomInstructions').textContent = data.instructions;
+    document.getElementById('chesscomCodeBox').classList.remove('hidden');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function verifyChesscomLink() {
+  try {
+    const response = await fetch(`${API_BASE}/user/chesscom/verify`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${authToken}` }
     });
     
     const data = await response.json();
     
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to link Lichess account');
+      throw new Error(data.error || 'Failed to verify Chess.com account');
     }
     
-    closeModal('lichessModal');
-    currentUser.lichess_username = lichessUsername;
-    showToast('Lichess account linked!', 'success');
+    currentUser.chesscom_username = data.chesscom_username;
+    currentUser.chesscom_verified = 1;
+    closeModal('accountsModal');
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function unlinkChesscom() {
+  if (!confirm('Unlink your Chess.com account?')) return;
+  
+  try {
+    const response = await fetch(`${API_BASE}/user/chesscom`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to unlink Chess.com account');
+    }
+    
+    currentUser.chesscom_username = null;
+    currentUser.chesscom_verified = 0;
+    closeModal('accountsModal');
+    showToast(data.message, 'success');
   } catch (error) {
     showToast(error.message, 'error');
   }
@@ -960,7 +1589,7 @@ async function loadAdminChallenges() {
       <tr>
         <td>${ch.id}</td>
         <td>${escapeHtml(ch.creator_username)}</td>
-        <td>${escapeHtml(ch.opponent_username)}</td>
+        <td>${escapeHtml(ch.opponent_username || 'Open')}</td>
         <td>₦${formatNumber(ch.stake_amount)}</td>
         <td><span class="status-badge ${ch.status}">${ch.status}</span></td>
         <td>${ch.expires_in_minutes ? `${ch.expires_in_minutes}m` : '-'}</td>
@@ -1004,6 +1633,43 @@ async function loadAdminAppeals() {
   }
 }
 
+async function loadAdminReconciliation() {
+  try {
+    const response = await fetch(`${API_BASE}/admin/reconciliation`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to run reconciliation');
+    }
+    
+    document.getElementById('adminReconcileSummary').innerHTML = `
+      <p>Checked ${result.users_checked} users, ${result.matches_checked} matches and ${result.transactions_checked} transactions at ${formatDate(result.checked_at)}.</p>
+      <p>Platform fees: expected ₦${formatNumber(result.platform_fees.expected)}, recorded ₦${formatNumber(result.platform_fees.recorded)}, ledger ₦${formatNumber(result.platform_fees.ledger)}</p>
+    `;
+    
+    if (result.discrepancies.length === 0) {
+      document.getElementById('adminReconcileList').innerHTML = '<tr><td colspan="6">No discrepancies found</td></tr>';
+      return;
+    }
+    
+    document.getElementById('adminReconcileList').innerHTML = result.discrepancies.map(d => `
+      <tr title="${escapeHtml(d.message)}">
+        <td>${escapeHtml(d.type)}</td>
+        <td>${d.username ? escapeHtml(d.username) : '-'}</td>
+        <td>${d.expected !== null ? formatNumber(d.expected) : '-'}</td>
+        <td>${d.actual !== null ? formatNumber(d.actual) : '-'}</td>
+        <td>${d.match_ids.join(', ') || '-'}</td>
+        <td>${d.transaction_ids.join(', ') || '-'}</td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 function switchAdminTab(tab) {
   document.querySelectorAll('.admin-tab').forEach(t => t.classList.remove('active'));
   event.target.classList.add('active');
@@ -1012,11 +1678,62 @@ function switchAdminTab(tab) {
   
   const panelMap = {
     'stats': 'adminStatsPanel',
+    'reconciliation': 'adminReconcilePanel',
     'challenges': 'adminChallengesPanel',
-    'appeals': 'adminAppealsPanel'
+    'appeals': 'adminAppealsPanel',
+    'fairplay': 'adminFairPlayPanel',
+    'settings': 'adminSettingsPanel'
   };
   
   document.getElementById(panelMap[tab])?.classList.remove('hidden');
+  
+  if (tab === 'reconciliation') loadAdminReconciliation();
+  if (tab === 'fairplay') loadAdminFairPlay();
+  if (tab === 'settings') loadExpirySettings();
+}
+
+async function loadExpirySettings() {
+  try {
+    const response = await fetch(`${API_BASE}/admin/settings/challenge-expiry`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const limits = await response.json();
+    document.getElementById('expiryMinMinutes').value = limits.min_minutes;
+    document.getElementById('expiryDefaultMinutes').value = limits.default_minutes;
+    document.getElementById('expiryMaxMinutes').value = limits.max_minutes;
+  } catch (error) {
+    showToast('Failed to load settings', 'error');
+  }
+}
+
+async function saveExpirySettings(event) {
+  event.preventDefault();
+  
+  try {
+    const response = await fetch(`${API_BASE}/admin/settings/challenge-expiry`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${authToken}`
+      },
+      body: JSON.stringify({
+        min_minutes: parseInt(document.getElementById('expiryMinMinutes').value),
+        default_minutes: parseInt(document.getElementById('expiryDefaultMinutes').value),
+        max_minutes: parseInt(document.getElementById('expiryMaxMinutes').value)
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save settings');
+    }
+    
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
 }
 
 async function resolveAppeal(appealId, decision) {
@@ -1039,8 +1756,87 @@ async function resolveAppeal(appealId, decision) {
   }
 }
 
+async function loadAdminFairPlay() {
+  try {
+    const response = await fetch(`${API_BASE}/admin/fair-play`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    const matches = await response.json();
+    
+    if (matches.length === 0) {
+      document.getElementById('adminFairPlayList').innerHTML = '<tr><td colspan="6">No matches under review</td></tr>';
+      return;
+    }
+    
+    document.getElementById('adminFairPlayList').innerHTML = matches.map(m => `
+      <tr>
+        <td>${m.game_url ? `<a href="${m.game_url}" target="_blank" rel="noopener">${m.id}</a>` : m.id}</td>
+        <td>${escapeHtml(m.creator_username)} vs ${escapeHtml(m.opponent_username)}</td>
+        <td>${escapeHtml(m.winner_username || '-')}</td>
+        <td>₦${formatNumber(m.stake_amount)}</td>
+        <td>${(m.fair_play?.reasons || []).map(r => escapeHtml(typeof r === 'string' ? r : `Game ${r.game}: ${r.message}`)).join('<br>')}</td>
+        <td>
+          <button class="btn btn-success btn-sm" onclick="resolveFairPlay(${m.id}, 'clear')">Clear</button>
+          <button class="btn btn-danger btn-sm" onclick="resolveFairPlay(${m.id}, 'void')">Void</button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load fair-play queue:', error);
+  }
+}
+
+async function resolveFairPlay(matchId, decision) {
+  try {
+    const response = await fetch(`${API_BASE}/admin/fair-play/${matchId}/resolve`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${authToken}`
+      },
+      body: JSON.stringify({ decision })
+    });
+    
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to resolve review');
+    
+    showToast(data.message, 'success');
+    loadAdminFairPlay();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 // ================== UTILITIES ==================
 
+function generateIdempotencyKey() {
+  if (window.crypto?.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).substring(2)}`;
+}
+
+// POST to a money-moving endpoint. The same action reuses its key until the
+// server answers, so double clicks and network retries are not applied twice.
+async function idempotentFetch(url, action, options = {}) {
+  if (!idempotencyKeys[action]) {
+    idempotencyKeys[action] = generateIdempotencyKey();
+  }
+  
+  const response = await fetch(url, {
+    method: 'POST',
+    ...options,
+    headers: {
+      ...options.headers,
+      'Idempotency-Key': idempotencyKeys[action]
+    }
+  });
+  
+  delete idempotencyKeys[action];
+  return response;
+}
+
 function formatNumber(num) {
   return Math.floor(num || 0).toLocaleString('en-NG');
 }
@@ -1070,7 +1866,11 @@ function getTransactionIcon(type) {
     'platform_fee': '💰',
     'winning': '🏆',
     'refund': '↩️',
-    'stake': '🎮'
+    'stake': '🎮',
+    'hold': '⏳',
+    'release': '↩️',
+    'hold_stake': '🎮',
+    'stake_loss': '❌'
   };
   return icons[type] || '•';
 }
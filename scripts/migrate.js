@@ -0,0 +1,34 @@
+// DX - Run schema migrations from the command line
+// Usage: npm run migrate [-- --dry-run]
+
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { runMigrations } = require('../lib/migrate');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// A dry run works on a copy in memory, so it cannot create or change files
+const store = createStore({
+  driver: process.env.DB_DRIVER || 'sqlite',
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  inMemory: dryRun
+});
+
+try {
+  const result = runMigrations(store, { dryRun });
+
+  if (result.applied.length === 0) {
+    console.log(`Schema is up to date at version ${result.from_version}`);
+  } else {
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} schema ${result.from_version} -> ${result.to_version}`);
+    result.applied.forEach(m => {
+      console.log(`\n${String(m.version).padStart(3, '0')}_${m.name}: ${m.description} (${m.changes.length} changes)`);
+      m.changes.forEach(change => console.log(`  ${change}`));
+    });
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  store.close();
+}
@@ -4,10 +4,29 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
+const { createStore } = require('./lib/storage');
+const { createLedger, ACCOUNTS } = require('./lib/ledger');
+const { reconcile, UNSETTLED_MATCH_STATUSES } = require('./lib/reconcile');
+const { createIdempotency } = require('./lib/idempotency');
+const { createLockManager } = require('./lib/locks');
+const { ConflictError, ProviderError } = require('./lib/errors');
+const { runMigrations } = require('./lib/migrate');
+const { createBackupManager, SnapshotError } = require('./lib/backup');
+const { createLichessOAuth, OAuthError } = require('./lib/lichess/oauth');
+const { VARIANTS, COLORS, MAX_TIME_CONTROL, isFinished, playerId, parseTimeControl, isValidTimeControl, speedOf, finalClocks } = require('./lib/lichess/games');
+const { checkEligibility, STATUS_OUTCOMES } = require('./lib/lichess/eligibility');
+const { createLichessClient } = require('./lib/lichess/client');
+const { createGameStreamer } = require('./lib/lichess/stream');
+const { createLichessProvider } = require('./lib/lichess/provider');
+const { createChesscomClient } = require('./lib/chesscom/client');
+const { createChesscomProvider } = require('./lib/chesscom/provider');
+const { createProviders } = require('./lib/providers');
+const { createTrustChecker } = require('./lib/providers/trust');
+const { createFairPlay } = require('./lib/fairplay');
+const { isCompatible, pairEntries } = require('./lib/matchmaking');
+const { validateSeries, otherColor, seriesOutcome, combineFairPlay } = require('./lib/series');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,79 +38,127 @@ const JWT_SECRET = process.env.JWT_SECRET || 'dx-chess-mvp-secret-2024';
 const CONFIG = {
   MIN_STAKE: 500,
   PLATFORM_FEE_PERCENTAGE: 1.5,
-  LICHESS_API_BASE: 'https://lichess.org/api',
-  LICHESS_API_TOKEN: process.env.LICHESS_API_TOKEN || '', // Optional: for authenticated requests
+  LICHESS_API_BASE: process.env.LICHESS_API_BASE || 'https://lichess.org/api',
+  LICHESS_API_TOKEN: process.env.LICHESS_API_TOKEN || '', // Optional: creates the match game on accept
+  LICHESS_TIMEOUT_MS: parseInt(process.env.LICHESS_TIMEOUT_MS) || 10000,
+  LICHESS_MAX_RETRIES: parseInt(process.env.LICHESS_MAX_RETRIES) || 2,
+  LICHESS_RETRY_BASE_MS: parseInt(process.env.LICHESS_RETRY_BASE_MS) || 500,
+  LICHESS_OAUTH_URL: process.env.LICHESS_OAUTH_URL || 'https://lichess.org/oauth',
+  LICHESS_CLIENT_ID: process.env.LICHESS_CLIENT_ID || 'dx-chess',
+  PUBLIC_URL: process.env.PUBLIC_URL || '', // Used for the OAuth redirect; defaults to the request host
+  CHESSCOM_API_BASE: process.env.CHESSCOM_API_BASE || 'https://api.chess.com/pub',
+  CHESSCOM_USER_AGENT: process.env.CHESSCOM_USER_AGENT || 'DX chess staking',
   APPEAL_PERIOD_MINUTES: 5,
+  // Defaults for the challenge expiry limits; admins can change them at runtime
+  CHALLENGE_EXPIRY_MINUTES: parseInt(process.env.CHALLENGE_EXPIRY_MINUTES) || 15,
+  CHALLENGE_EXPIRY_MIN_MINUTES: parseInt(process.env.CHALLENGE_EXPIRY_MIN_MINUTES) || 5,
+  CHALLENGE_EXPIRY_MAX_MINUTES: parseInt(process.env.CHALLENGE_EXPIRY_MAX_MINUTES) || 1440,
+  CHALLENGE_SWEEP_INTERVAL_SECONDS: parseInt(process.env.CHALLENGE_SWEEP_INTERVAL_SECONDS) || 60,
+  TRUST_MIN_ACCOUNT_AGE_DAYS: parseInt(process.env.TRUST_MIN_ACCOUNT_AGE_DAYS) || 30,
+  TRUST_MIN_RATED_GAMES: parseInt(process.env.TRUST_MIN_RATED_GAMES) || 20,
+  TRUST_ACTION: process.env.TRUST_ACTION || 'block', // block | flag: what to do with new or inexperienced accounts
+  TRUST_CACHE_MINUTES: parseInt(process.env.TRUST_CACHE_MINUTES) || 10,
+  MATCHMAKING_RATING_RANGE: parseInt(process.env.MATCHMAKING_RATING_RANGE) || 200, // Default +/- range around the player's rating
+  MATCHMAKING_INTERVAL_SECONDS: parseInt(process.env.MATCHMAKING_INTERVAL_SECONDS) || 5,
+  QUEUE_ENTRY_MINUTES: parseInt(process.env.QUEUE_ENTRY_MINUTES) || 30,
+  SERIES_MAX_TIEBREAK_GAMES: parseInt(process.env.SERIES_MAX_TIEBREAK_GAMES) || 3, // Sudden-death games before a level series is split
+  GAME_WATCH_INTERVAL_SECONDS: parseInt(process.env.GAME_WATCH_INTERVAL_SECONDS) || 30,
+  STOCKFISH_PATH: process.env.STOCKFISH_PATH || '', // Optional: analyses games Lichess has not
+  FAIR_PLAY_DEPTH: parseInt(process.env.FAIR_PLAY_DEPTH) || 12,
+  FAIR_PLAY_MAX_ACCURACY: parseFloat(process.env.FAIR_PLAY_MAX_ACCURACY) || 97,
+  FAIR_PLAY_MIN_ACPL: parseFloat(process.env.FAIR_PLAY_MIN_ACPL) || 10,
+  FAIR_PLAY_MIN_MOVES: parseInt(process.env.FAIR_PLAY_MIN_MOVES) || 20,
+  RECONCILE_INTERVAL_MINUTES: 60,
+  IDEMPOTENCY_TTL_HOURS: 24,
+  LOCK_TIMEOUT_MS: 10000,
   MIN_PHONE_LENGTH: 10,
-  MAX_PHONE_LENGTH: 15
+  MAX_PHONE_LENGTH: 15,
+  DB_DRIVER: process.env.DB_DRIVER || 'sqlite',
+  DATA_DIR: process.env.DATA_DIR || path.join(__dirname, 'data'),
+  BACKUP_INTERVAL_MINUTES: parseInt(process.env.BACKUP_INTERVAL_MINUTES) || 60,
+  BACKUP_KEEP: parseInt(process.env.BACKUP_KEEP) || 24,
+  MAINTENANCE_DRAIN_TIMEOUT_MS: 15000
 };
 
-// ================== DATABASE (JSON FILE-BASED) ==================
+CONFIG.BACKUP_DIR = process.env.BACKUP_DIR || path.join(CONFIG.DATA_DIR, 'backups');
+// Game exports live on the site root rather than under /api
+CONFIG.LICHESS_SITE_BASE = CONFIG.LICHESS_API_BASE.replace(/\/api\/?$/, '');
 
-let db = {
-  users: [],
-  challenges: [],
-  matches: [],
-  transactions: [],
-  admin_logs: [],
-  appeals: []
-};
+// ================== DATABASE ==================
 
-function loadDatabase() {
-  const DATA_DIR = path.join(__dirname, 'data');
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-  const DB_FILE = path.join(DATA_DIR, 'db.json');
-  if (fs.existsSync(DB_FILE)) {
-    try {
-      const data = fs.readFileSync(DB_FILE, 'utf8');
-      db = JSON.parse(data);
-    } catch (e) {
-      console.error('Failed to load database:', e);
-    }
-  }
-}
+// DB_DRIVER=sqlite (default) or json for local development
+const store = createStore({
+  driver: CONFIG.DB_DRIVER,
+  dataDir: CONFIG.DATA_DIR
+});
 
-function saveDatabase() {
-  const DATA_DIR = path.join(__dirname, 'data');
-  const DB_FILE = path.join(DATA_DIR, 'db.json');
-  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
-}
+const { findById, findOne, findAll, insert, update, transaction } = store;
 
-function generateId(arr) {
-  return arr.length > 0 ? Math.max(...arr.map(i => i.id)) + 1 : 1;
-}
+// All balance changes go through the ledger; see lib/ledger.js
+const ledger = createLedger(store);
 
-function findById(arr, id) {
-  return arr.find(i => i.id === id);
-}
+// Replays stored responses for retried money-moving requests
+const { idempotent } = createIdempotency(store, { ttlHours: CONFIG.IDEMPOTENCY_TTL_HOURS });
 
-function findOne(arr, predicate) {
-  return arr.find(predicate);
-}
+// Serialises requests that touch the same user, challenge or match
+const { withLocks } = createLockManager({ timeoutMs: CONFIG.LOCK_TIMEOUT_MS });
 
-function findAll(arr, predicate = () => true) {
-  return arr.filter(predicate);
-}
+const backups = createBackupManager(store, { dir: CONFIG.BACKUP_DIR, keep: CONFIG.BACKUP_KEEP });
 
-function insert(arr, item) {
-  item.id = generateId(arr);
-  item.created_at = new Date().toISOString();
-  arr.push(item);
-  saveDatabase();
-  return item;
-}
+// All Lichess traffic goes through one client for retries, caching and metrics
+const lichess = createLichessClient({
+  apiBase: CONFIG.LICHESS_API_BASE,
+  siteBase: CONFIG.LICHESS_SITE_BASE,
+  token: CONFIG.LICHESS_API_TOKEN,
+  timeoutMs: CONFIG.LICHESS_TIMEOUT_MS,
+  maxRetries: CONFIG.LICHESS_MAX_RETRIES,
+  retryBaseMs: CONFIG.LICHESS_RETRY_BASE_MS
+});
 
-function update(arr, id, updates) {
-  const index = arr.findIndex(i => i.id === id);
-  if (index !== -1) {
-    arr[index] = { ...arr[index], ...updates, updated_at: new Date().toISOString() };
-    saveDatabase();
-    return arr[index];
-  }
-  return null;
-}
+const gameStreams = createGameStreamer({ client: lichess });
+
+const chesscom = createChesscomClient({
+  apiBase: CONFIG.CHESSCOM_API_BASE,
+  userAgent: CONFIG.CHESSCOM_USER_AGENT
+});
+
+// The sites a match can be played on; see lib/providers
+const providers = createProviders([
+  createLichessProvider({ client: lichess }),
+  createChesscomProvider({ client: chesscom })
+]);
+
+// Refuses closed, ToS-flagged and smurf-looking accounts, per provider
+const accountTrust = new Map(providers.list().map(provider => [provider.name, createTrustChecker({
+  provider,
+  minAccountAgeDays: CONFIG.TRUST_MIN_ACCOUNT_AGE_DAYS,
+  minRatedGames: CONFIG.TRUST_MIN_RATED_GAMES,
+  action: CONFIG.TRUST_ACTION,
+  cacheMinutes: CONFIG.TRUST_CACHE_MINUTES
+})]));
+
+// Engine-use screening of decisive games before the winner is paid
+const fairPlay = createFairPlay({
+  stockfishPath: CONFIG.STOCKFISH_PATH,
+  depth: CONFIG.FAIR_PLAY_DEPTH,
+  maxAccuracy: CONFIG.FAIR_PLAY_MAX_ACCURACY,
+  minAcpl: CONFIG.FAIR_PLAY_MIN_ACPL,
+  minMoves: CONFIG.FAIR_PLAY_MIN_MOVES
+});
+
+const lichessOAuth = createLichessOAuth(store, {
+  client: lichess,
+  authorizeUrl: CONFIG.LICHESS_OAUTH_URL,
+  clientId: CONFIG.LICHESS_CLIENT_ID
+});
+
+// While enabled, money-moving routes and background jobs stand still
+const maintenance = {
+  enabled: false,
+  reason: null,
+  since: null,
+  inFlight: 0
+};
 
 // ================== HELPER FUNCTIONS ==================
 
@@ -99,8 +166,27 @@ function generateChallengeCode() {
   return 'DX' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).substring(2, 6).toUpperCase();
 }
 
-function generateLichessGameId() {
-  return Math.random().toString(36).substring(2, 12);
+// Expiry limits for new challenges: admin settings over the CONFIG defaults
+function challengeExpiryLimits() {
+  const saved = findOne('settings', { key: 'challenge_expiry' });
+  return {
+    min_minutes: saved?.min_minutes ?? CONFIG.CHALLENGE_EXPIRY_MIN_MINUTES,
+    max_minutes: saved?.max_minutes ?? CONFIG.CHALLENGE_EXPIRY_MAX_MINUTES,
+    default_minutes: saved?.default_minutes ?? CONFIG.CHALLENGE_EXPIRY_MINUTES
+  };
+}
+
+// Minutes a new challenge stays open: the requested value, or the default.
+// Returns null when the request is outside the limits.
+function challengeExpiryMinutes(requested) {
+  const limits = challengeExpiryLimits();
+  if (requested == null || requested === '') return limits.default_minutes;
+  
+  const minutes = Number(requested);
+  if (!Number.isInteger(minutes) || minutes < limits.min_minutes || minutes > limits.max_minutes) {
+    return null;
+  }
+  return minutes;
 }
 
 function validatePhone(phone) {
@@ -116,35 +202,41 @@ function validateFullName(name) {
   return name.trim().length >= 2 && name.trim().length <= 100;
 }
 
-async function createLichessGame(creatorLichess, opponentLichess, timeControl, rated, color = 'random') {
+const TIME_CONTROL_ERROR = `Time control must be minutes+increment in whole numbers, like 3+2, ` +
+  `up to ${MAX_TIME_CONTROL.minutes}+${MAX_TIME_CONTROL.increment} and not 0+0`;
+
+// Opens a Lichess challenge that only the two players can join. Lichess
+// seats the first of `users` as white and returns a link per color, so the
+// resolved color decides both the order and who gets which link.
+async function createLichessGame(creatorLichess, opponentLichess, timeControl, rated, color = 'random', variant = 'standard') {
   try {
-    // Lichess API challenge creation
-    const endpoint = `${CONFIG.LICHESS_API_BASE}/challenge`;
-    
-    const payload = {
-      rated: rated,
-      clock: timeControl,
-      color: color,
-      variant: 'standard',
-      timeout: 30
-    };
+    const { limit, increment } = parseTimeControl(timeControl);
+    const creatorColor = color === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : color;
+    const opponentColor = creatorColor === 'white' ? 'black' : 'white';
+    const users = creatorColor === 'white' ? [creatorLichess, opponentLichess] : [opponentLichess, creatorLichess];
     
-    const headers = {
-      'Authorization': `Bearer ${CONFIG.LICHESS_API_TOKEN}`,
-      'Content-Type': 'application/json'
-    };
+    const game = await lichess.openChallenge({
+      rated: rated ? 'true' : 'false',
+      'clock.limit': String(limit),
+      'clock.increment': String(increment),
+      variant,
+      users: users.join(','),
+      name: 'DX staked match'
+    });
     
-    // Note: Without API token, we'll generate a game ID and let users create it manually
-    // In production with API token, this would create a real challenge
+    if (!game || !game.id) {
+      throw new Error('Lichess response has no game id');
+    }
     
-    // For MVP, we'll create a simulated game reference
-    const gameId = generateLichessGameId();
+    const colorUrl = c => (c === 'white' ? game.urlWhite : game.urlBlack) || game.url;
     
     return {
       success: true,
-      gameId: gameId,
-      gameUrl: `https://lichess.org/${gameId}`,
-      message: 'Game reference created. Players should play on Lichess and submit result.'
+      gameId: game.id,
+      gameUrl: game.url || `https://lichess.org/${game.id}`,
+      creatorColor,
+      creatorUrl: colorUrl(creatorColor),
+      opponentUrl: colorUrl(opponentColor)
     };
   } catch (error) {
     console.error('Lichess API error:', error.message);
@@ -152,14 +244,196 @@ async function createLichessGame(creatorLichess, opponentLichess, timeControl, r
   }
 }
 
-async function fetchLichessGame(gameId) {
-  try {
-    const response = await axios.get(`${CONFIG.LICHESS_API_BASE}/game/export/${gameId}?evals=false&clocks=false`);
-    return response.data;
-  } catch (error) {
-    console.error('Lichess API error:', error.message);
-    return null;
+function matchTerms(match) {
+  const provider = providers.get(match.provider);
+  const creator = findById('users', match.creator_id);
+  const opponent = findById('users', match.opponent_id);
+  return {
+    players: [provider.account(creator).username, provider.account(opponent).username],
+    timeControl: match.time_control,
+    rated: match.is_rated,
+    variant: match.variant || 'standard',
+    creatorColor: match.creator_color || null,
+    // In a series, each game must be newer than the one before it
+    startedAt: match.next_game_after || match.accepted_at || match.created_at,
+    usedGameIds: usedGameIds(match)
+  };
+}
+
+// Ids of games on the match's site that settled other matches, or earlier
+// games of this series
+function usedGameIds(match) {
+  const site = providers.get(match.provider).name;
+  const onSite = m => providers.get(m.provider).name === site;
+  return [
+    ...findAll('matches', m => m.id !== match.id && m.game_id && onSite(m)).map(m => m.game_id),
+    ...findAll('match_games', g => onSite(findById('matches', g.match_id))).map(g => g.game_id)
+  ].map(String);
+}
+
+// The game that decides a match: the one DX created for it, otherwise the
+// first finished, eligible game between the two linked accounts. Aborted
+// games are skipped. Returns null if there is none yet, or if the accounts
+// are not verified. Provider failures are thrown as ProviderError.
+async function findMatchGame(match) {
+  const provider = providers.get(match.provider);
+  const creator = findById('users', match.creator_id);
+  const opponent = findById('users', match.opponent_id);
+  if (!provider.account(creator).verified || !provider.account(opponent).verified) return null;
+  
+  const terms = matchTerms(match);
+  
+  if (match.lichess_game_id) {
+    const game = await lichess.exportGame(match.lichess_game_id);
+    if (!isFinished(game)) return null;
+    if (checkEligibility(game, terms).eligible) return game;
+  }
+  
+  return provider.findGame(terms);
+}
+
+// Records a finished game as the match result and opens the appeal
+// window. Caller must hold the match locks.
+// The game must already have passed checkEligibility.
+function recordMatchResult(match, game, source) {
+  // Checked again under the match locks: two matches between the same
+  // players may both have picked this game
+  if (usedGameIds(match).includes(String(game.id))) {
+    throw new ConflictError(`Game ${game.id} has already been used to settle another match`);
+  }
+  
+  if (match.series) return recordSeriesGame(match, game, source);
+
+  const provider = providers.get(match.provider);
+  const terms = matchTerms(match);
+  const { result } = checkEligibility(game, terms);
+  
+  const isDraw = result === 'draw';
+  let winnerId = null;
+  
+  if (!isDraw) {
+    winnerId = playerId(game, result) === (terms.players[0] || '').toLowerCase()
+      ? match.creator_id
+      : match.opponent_id;
   }
+  
+  const appealDeadline = new Date(Date.now() + CONFIG.APPEAL_PERIOD_MINUTES * 60 * 1000);
+  
+  // Draws refund both players, so only decisive games are screened
+  const fairPlayResult = isDraw ? null : fairPlay.screenGame(game);
+  const flagged = fairPlayResult?.status === 'flagged';
+  
+  let status = isDraw ? 'draw' : 'awaiting_appeal';
+  if (flagged) status = 'fair_play_review';
+  
+  // The match was read before the provider round trip; refuse to overwrite
+  // it if anything else settled it in the meantime
+  update('matches', match.id, {
+    game_id: game.id,
+    game_url: game.id === match.lichess_game_id ? match.lichess_game_url : provider.gameUrl(game),
+    game_status: game.status,
+    pgn: game.pgn || null,
+    opening: game.opening ? { eco: game.opening.eco, name: game.opening.name } : null,
+    final_clocks: finalClocks(game),
+    result_source: source,
+    status,
+    winner_id: winnerId,
+    fair_play: fairPlayResult,
+    ...(flagged ? { admin_review: 1 } : {}),
+    appeal_deadline: appealDeadline.toISOString(),
+    completed_at: new Date().toISOString()
+  }, { expectedVersion: match.version });
+  
+  return { isDraw, winnerId, appealDeadline, flagged };
+}
+
+function seriesGames(matchId) {
+  return findAll('match_games', { match_id: matchId }).sort((a, b) => a.number - b.number);
+}
+
+// Records one game of a series match. Until the series is decided the match
+// goes back to in_progress with colors swapped for the next game; once it
+// is, the match settles like a single game, with the combined fair-play
+// verdict of its games. Caller must hold the match locks.
+function recordSeriesGame(match, game, source) {
+  const provider = providers.get(match.provider);
+  const terms = matchTerms(match);
+  const { result } = checkEligibility(game, terms);
+
+  const creatorColor = playerId(game, 'white') === (terms.players[0] || '').toLowerCase() ? 'white' : 'black';
+  let gameResult = 'draw';
+  if (result !== 'draw') gameResult = result === creatorColor ? 'creator' : 'opponent';
+
+  const number = seriesGames(match.id).length + 1;
+  const gameUrl = game.id === match.lichess_game_id ? match.lichess_game_url : provider.gameUrl(game);
+  const appealDeadline = new Date(Date.now() + CONFIG.APPEAL_PERIOD_MINUTES * 60 * 1000);
+
+  return transaction(() => {
+    insert('match_games', {
+      match_id: match.id,
+      number,
+      tiebreak: number > match.series.games ? 1 : 0,
+      game_id: game.id,
+      game_url: gameUrl,
+      creator_color: creatorColor,
+      result: gameResult,
+      winner_id: { creator: match.creator_id, opponent: match.opponent_id }[gameResult] || null,
+      game_status: game.status,
+      pgn: game.pgn || null,
+      opening: game.opening ? { eco: game.opening.eco, name: game.opening.name } : null,
+      final_clocks: finalClocks(game),
+      result_source: source,
+      // Drawn games cannot change who is paid, so only decisive ones are screened
+      fair_play: gameResult === 'draw' ? null : fairPlay.screenGame(game)
+    });
+
+    const games = seriesGames(match.id);
+    const outcome = seriesOutcome(match.series, games, { maxTiebreakGames: CONFIG.SERIES_MAX_TIEBREAK_GAMES });
+    const seriesInfo = { decided: outcome.decided, game: number, game_result: gameResult, score: outcome.score, next: outcome.next };
+
+    if (!outcome.decided) {
+      update('matches', match.id, {
+        status: 'in_progress',
+        score: outcome.score,
+        games_played: games.length,
+        creator_color: otherColor(creatorColor),
+        next_game_after: new Date(game.createdAt + 1).toISOString(),
+        lichess_game_id: null,
+        lichess_game_url: null,
+        creator_game_url: null,
+        opponent_game_url: null,
+        game_ended_at: null
+      }, { expectedVersion: match.version });
+
+      return { isDraw: false, winnerId: null, appealDeadline: null, flagged: false, series: seriesInfo };
+    }
+
+    const isDraw = outcome.result === 'draw';
+    const winnerId = isDraw ? null : { creator: match.creator_id, opponent: match.opponent_id }[outcome.result];
+    const fairPlayResult = isDraw ? null : combineFairPlay(games);
+    const flagged = fairPlayResult?.status === 'flagged';
+
+    let status = isDraw ? 'draw' : 'awaiting_appeal';
+    if (flagged) status = 'fair_play_review';
+
+    update('matches', match.id, {
+      game_id: game.id,
+      game_url: gameUrl,
+      game_status: game.status,
+      final_clocks: finalClocks(game),
+      result_source: source,
+      score: outcome.score,
+      games_played: games.length,
+      status,
+      winner_id: winnerId,
+      fair_play: fairPlayResult,
+      ...(flagged ? { admin_review: 1 } : {}),
+      appeal_deadline: appealDeadline.toISOString(),
+      completed_at: new Date().toISOString()
+    }, { expectedVersion: match.version });
+
+    return { isDraw, winnerId, appealDeadline, flagged, series: seriesInfo };
+  });
 }
 
 function calculateFee(stakeAmount) {
@@ -171,6 +445,317 @@ function calculateFee(stakeAmount) {
   };
 }
 
+// In-app message for a user, shown under the bell in the navbar
+function notify(userId, type, message, details = {}) {
+  return insert('notifications', {
+    user_id: userId,
+    type,
+    message,
+    ...details,
+    read_at: null
+  });
+}
+
+// Return a pending challenge's reserved stake to the creator's available balance.
+// Must be called inside a transaction together with the status change.
+function releaseChallengeHold(challenge, reason) {
+  if (!challenge.stake_held) return;
+  
+  ledger.transfer(ACCOUNTS.held(challenge.creator_id), ACCOUNTS.available(challenge.creator_id), challenge.stake_amount, {
+    type: 'hold_release',
+    reference_id: `HLD${challenge.id}`,
+    description: `Stake released: challenge ${challenge.challenge_code} ${reason}`
+  });
+  
+  insert('transactions', {
+    user_id: challenge.creator_id,
+    type: 'release',
+    amount: challenge.stake_amount,
+    description: `Reserved stake returned (challenge ${reason})`,
+    reference_id: `HLD${challenge.id}`
+  });
+  
+  update('challenges', challenge.id, { stake_held: 0 });
+}
+
+// Move a player's stake for an accepted challenge into match escrow, out of
+// their reservation when it was held. Must be called inside a transaction.
+function lockStake(userId, challenge, fromHold) {
+  const source = fromHold ? ACCOUNTS.held(userId) : ACCOUNTS.available(userId);
+  
+  ledger.transfer(source, ACCOUNTS.escrow(userId), challenge.stake_amount, {
+    type: 'stake_lock',
+    reference_id: `STK${challenge.id}`,
+    description: `Stake locked for challenge ${challenge.challenge_code}`
+  });
+  
+  insert('transactions', {
+    user_id: userId,
+    type: fromHold ? 'hold_stake' : 'stake',
+    amount: challenge.stake_amount,
+    description: fromHold ? 'Reserved stake moved to match escrow' : 'Stake locked in escrow',
+    reference_id: `STK${challenge.id}`
+  });
+}
+
+// The match record for an accepted challenge. Must be called inside the
+// transaction that locks the stakes.
+// The split quoted on the challenge carries over, so a fee change between
+// sending and accepting does not alter what the players agreed to.
+function insertMatch(challenge, opponentId, trustFlags) {
+  const quoted = calculateFee(challenge.stake_amount);
+  const fee = challenge.dx_fee ?? quoted.fee;
+  const winnerPayout = challenge.winner_payout ?? quoted.winnerPayout;
+  
+  return insert('matches', {
+    challenge_id: challenge.id,
+    creator_id: challenge.creator_id,
+    opponent_id: opponentId,
+    stake_amount: challenge.stake_amount,
+    time_control: challenge.time_control,
+    is_rated: challenge.is_rated,
+    provider: challenge.provider,
+    variant: challenge.variant,
+    color: challenge.color,
+    trust_flags: trustFlags,
+    // Series matches play several games for the one escrowed pot; see lib/series.js
+    series: challenge.series || null,
+    score: challenge.series ? { creator: 0, opponent: 0 } : null,
+    games_played: 0,
+    rematch_of: challenge.rematch_of || null,
+    rematch_chain_id: challenge.rematch_chain_id || null,
+    status: 'in_progress',
+    accepted_at: new Date().toISOString(),
+    lichess_game_id: null,
+    lichess_game_url: null,
+    creator_game_url: null,
+    opponent_game_url: null,
+    // A chosen color binds the game; a random one is fixed once DX opens it
+    creator_color: challenge.color === 'random' ? null : challenge.color,
+    dx_fee: fee,
+    winner_payout: winnerPayout,
+    payout_amount: 0,
+    appeal_deadline: null,
+    appeal_submitted: 0
+  });
+}
+
+// With an API token, open the game on Lichess for the two linked accounts.
+// If that fails the match stays valid and players start the game themselves.
+// Other providers cannot create games, so players always start those.
+// Series matches open each game in turn, with the colors set for it.
+async function startMatchGame(match, creator, opponent) {
+  if (match.provider !== 'lichess' || !CONFIG.LICHESS_API_TOKEN || !creator.lichess_verified || !opponent.lichess_verified) {
+    return match;
+  }
+  
+  const game = await createLichessGame(creator.lichess_username, opponent.lichess_username, match.time_control, match.is_rated, match.creator_color || 'random', match.variant || 'standard');
+  if (!game.success) return match;
+  
+  const started = update('matches', match.id, {
+    lichess_game_id: game.gameId,
+    lichess_game_url: game.gameUrl,
+    creator_game_url: game.creatorUrl,
+    opponent_game_url: game.opponentUrl,
+    creator_color: game.creatorColor
+  }, { expectedVersion: match.version });
+  trackMatchGame(started);
+  return started;
+}
+
+// Pending challenges past expires_at move to expired, stop holding the
+// creator's money, and the creator is told. Each one is expired under its
+// challenge locks, so it cannot race an accept, decline or cancel.
+let sweepingChallenges = false;
+
+async function expireStaleChallenges() {
+  if (maintenance.enabled || sweepingChallenges) return;
+  sweepingChallenges = true;
+  
+  try {
+    const stale = findAll('challenges', { status: 'pending' }, c => new Date(c.expires_at) <= new Date());
+    
+    for (const { id, challenge_code, creator_id } of stale) {
+      if (maintenance.enabled) break;
+      try {
+        await withLocks(challengeLockKeys({ params: { code: challenge_code }, user: { id: creator_id } }), () => {
+          // Answered or cancelled while we waited for the lock
+          const challenge = findById('challenges', id);
+          if (challenge.status !== 'pending' || new Date(challenge.expires_at) > new Date()) return;
+          
+          transaction(() => {
+            update('challenges', challenge.id, {
+              status: 'expired',
+              expired_at: new Date().toISOString()
+            }, { expectedVersion: challenge.version });
+            releaseChallengeHold(challenge, 'expired');
+            
+            const to = challenge.opponent_username ? `to ${challenge.opponent_username}` : 'in the lobby';
+            notify(challenge.creator_id, 'challenge_expired', 
+              `Your ₦${challenge.stake_amount} ${challenge.time_control} challenge ${to} expired without an answer.` +
+              (challenge.stake_held ? ' Your stake is back in your wallet.' : ''),
+              { challenge_code: challenge.challenge_code });
+          });
+        });
+      } catch (error) {
+        console.error(`Failed to expire challenge ${id}:`, error);
+      }
+    }
+  } finally {
+    sweepingChallenges = false;
+  }
+}
+
+// Return a queue entry's reserved stake to the player's available balance.
+// Must be called inside a transaction together with the status change.
+function releaseQueueHold(entry, reason) {
+  if (!entry.stake_held) return;
+  
+  ledger.transfer(ACCOUNTS.held(entry.user_id), ACCOUNTS.available(entry.user_id), entry.stake_amount, {
+    type: 'hold_release',
+    reference_id: `QUE${entry.id}`,
+    description: `Stake released: matchmaking entry ${entry.id} ${reason}`
+  });
+  
+  insert('transactions', {
+    user_id: entry.user_id,
+    type: 'release',
+    amount: entry.stake_amount,
+    description: `Reserved stake returned (matchmaking ${reason})`,
+    reference_id: `QUE${entry.id}`
+  });
+  
+  update('queue_entries', entry.id, { stake_held: 0 });
+}
+
+// Waiting queue entries past expires_at leave the queue
+function expireQueueEntries() {
+  const now = new Date();
+  const stale = findAll('queue_entries', { status: 'waiting' }, e => new Date(e.expires_at) <= now);
+  
+  stale.forEach(entry => {
+    try {
+      transaction(() => {
+        update('queue_entries', entry.id, {
+          status: 'expired',
+          expired_at: now.toISOString()
+        });
+        releaseQueueHold(entry, 'expired');
+      });
+    } catch (error) {
+      console.error(`Failed to expire queue entry ${entry.id}:`, error);
+    }
+  });
+}
+
+// Turns two compatible queue entries into an accepted challenge and its
+// match, as if the older entry's player had sent it and the other accepted.
+// Both reserved stakes move into escrow in the same transaction.
+async function startQueuedMatch(firstId, secondId) {
+  const first = findById('queue_entries', firstId);
+  const second = findById('queue_entries', secondId);
+  
+  // Either player may have left while the pairs were being worked through
+  if (first?.status !== 'waiting' || second?.status !== 'waiting') return null;
+  
+  const creator = findById('users', first.user_id);
+  const opponent = findById('users', second.user_id);
+  const { totalPot, fee, winnerPayout } = calculateFee(first.stake_amount);
+  const now = new Date().toISOString();
+  
+  const match = transaction(() => {
+    const challenge = insert('challenges', {
+      challenge_code: generateChallengeCode(),
+      source: 'matchmaking',
+      creator_id: creator.id,
+      creator_username: creator.username,
+      creator_account: first.lichess_username,
+      opponent_id: opponent.id,
+      opponent_username: opponent.username,
+      opponent_account: second.lichess_username,
+      is_open: 0,
+      provider: 'lichess',
+      stake_amount: first.stake_amount,
+      time_control: first.time_control,
+      is_rated: first.is_rated,
+      variant: 'standard',
+      color: 'random',
+      status: 'accepted',
+      expires_at: now,
+      accepted_at: now,
+      total_pot: totalPot,
+      dx_fee: fee,
+      winner_payout: winnerPayout,
+      stake_held: 0,
+      trust_flags: [...first.trust_flags, ...second.trust_flags]
+    });
+    
+    lockStake(creator.id, challenge, true);
+    lockStake(opponent.id, challenge, true);
+    const match = insertMatch(challenge, opponent.id, challenge.trust_flags);
+    
+    [first, second].forEach(entry => {
+      update('queue_entries', entry.id, {
+        status: 'matched',
+        matched_at: now,
+        stake_held: 0,
+        challenge_id: challenge.id,
+        match_id: match.id
+      }, { expectedVersion: entry.version });
+    });
+    
+    return match;
+  });
+  
+  return startMatchGame(match, creator, opponent);
+}
+
+// Pairs compatible queue entries. Runs on a timer and after each join; a
+// run that starts while another is going is skipped.
+let matchmakingRunning = false;
+
+async function runMatchmaking() {
+  if (maintenance.enabled || matchmakingRunning) return;
+  matchmakingRunning = true;
+  
+  try {
+    expireQueueEntries();
+    
+    const pairs = pairEntries(findAll('queue_entries', { status: 'waiting' }));
+    for (const [first, second] of pairs) {
+      if (maintenance.enabled) break;
+      try {
+        await withLocks([`user:${first.user_id}`, `user:${second.user_id}`], () => startQueuedMatch(first.id, second.id));
+      } catch (error) {
+        console.error(`Failed to pair queue entries ${first.id} and ${second.id}:`, error);
+      }
+    }
+  } finally {
+    matchmakingRunning = false;
+  }
+}
+
+// Scheduled reconciliation: any mismatch is written to admin_logs
+function runReconciliation() {
+  if (maintenance.enabled) return null;
+  
+  try {
+    const result = reconcile(store, ledger);
+    if (result.discrepancies.length > 0) {
+      console.warn(`Reconciliation found ${result.discrepancies.length} discrepancies`);
+      insert('admin_logs', {
+        type: 'reconciliation',
+        message: `${result.discrepancies.length} ledger discrepancies found`,
+        details: result.discrepancies
+      });
+    }
+    return result;
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    return null;
+  }
+}
+
 // ================== MIDDLEWARE ==================
 
 app.use(cors());
@@ -201,6 +786,295 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+function setMaintenance(enabled, reason = null) {
+  maintenance.enabled = enabled;
+  maintenance.reason = enabled ? reason : null;
+  maintenance.since = enabled ? new Date().toISOString() : null;
+}
+
+// Resolves once no money-moving request or background job is running, or
+// false on timeout. Jobs check maintenance between items, so they wind down
+// after the one they are on.
+async function waitForIdle(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  const busy = () => maintenance.inFlight > 0 ||
+    sweepingChallenges || matchmakingRunning || watchingGames || screeningGames;
+  while (busy()) {
+    if (Date.now() > deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return true;
+}
+
+// Guards money-moving routes: 503 during maintenance, otherwise counts the
+// request as in flight so a restore can wait for it to finish
+function blockDuringMaintenance(req, res, next) {
+  if (maintenance.enabled) {
+    res.set('Retry-After', '60');
+    return res.status(503).json({
+      error: 'DX is in maintenance mode. Please try again shortly.',
+      reason: maintenance.reason
+    });
+  }
+  
+  maintenance.inFlight++;
+  res.on('close', () => { maintenance.inFlight--; });
+  next();
+}
+
+// Runs a route handler while holding the entity locks named by keysFn(req),
+// e.g. ['user:3', 'match:12']. Conflicting writes become a 409.
+function lockedRoute(keysFn, handler) {
+  return async (req, res) => {
+    try {
+      await withLocks(keysFn(req), () => handler(req, res));
+    } catch (error) {
+      if (res.headersSent) return;
+      if (error instanceof ConflictError) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error instanceof ProviderError) {
+        if (error.retryAfter) {
+          res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`${req.method} ${req.path} error:`, error);
+      res.status(500).json({ error: 'Request failed' });
+    }
+  };
+}
+
+function matchLockKeys(req) {
+  const match = findById('matches', parseInt(req.params.id));
+  return [`match:${req.params.id}`, match && `user:${match.creator_id}`, match && `user:${match.opponent_id}`];
+}
+
+// Stakes are only played on accounts the players have proven they own.
+// Sends the refusal and returns false when one of them has not.
+function requireVerifiedAccounts(res, players, provider, userId) {
+  const site = providers.get(provider);
+  const unverified = players.find(p => !site.account(p).verified);
+  if (!unverified) return true;
+  
+  res.status(400).json({
+    error: unverified.id === userId
+      ? `Link and verify your ${site.label} account first`
+      : `${unverified.username} has not verified a ${site.label} account`
+  });
+  return false;
+}
+
+// Runs the account trust checks for a challenge. Sends the refusal and
+// returns null when blocked, otherwise returns the flags to store.
+async function checkChallengeTrust(res, players, { provider, timeControl, variant }, context) {
+  const usernames = players.map(p => providers.get(provider).account(p).username);
+  const { allowed, reasons } = await accountTrust.get(provider).checkPlayers(usernames, timeControl, variant);
+  
+  if (!allowed) {
+    res.status(403).json({
+      error: `This challenge cannot go ahead: ${reasons.map(r => r.message).join('; ')}`,
+      reasons
+    });
+    return null;
+  }
+  
+  if (reasons.length > 0) {
+    insert('admin_logs', {
+      type: 'trust',
+      message: `${providers.get(provider).label} trust flags on ${context}`,
+      details: reasons
+    });
+  }
+  return reasons;
+}
+
+// Records the deciding game of a match once the provider has it. Returns
+// the game, or null if there is nothing to record yet.
+function settleFromProvider(id, source) {
+  return withLocks(matchLockKeys({ params: { id } }), async () => {
+    const match = findById('matches', id);
+    if (!['in_progress', 'result_pending'].includes(match.status)) return null;
+    
+    const game = await findMatchGame(match);
+    if (!game) return null;
+    
+    const { series } = recordMatchResult(match, game, source);
+    console.log(`Match ${id}: recorded ${providers.get(match.provider).label} game ${game.id}`);
+    if (series && !series.decided) await startNextSeriesGame(id);
+    return game;
+  });
+}
+
+// Opens the next game of a series that is still being played. Caller must
+// hold the match locks.
+function startNextSeriesGame(id) {
+  const match = findById('matches', id);
+  return startMatchGame(match, findById('users', match.creator_id), findById('users', match.opponent_id));
+}
+
+// Looks for the deciding game of every in-progress match and records it, so
+// players never have to submit results by hand
+let watchingGames = false;
+
+async function watchInProgressMatches() {
+  if (maintenance.enabled || watchingGames) return;
+  watchingGames = true;
+  
+  try {
+    for (const { id } of findAll('matches', { status: ['in_progress', 'result_pending'] })) {
+      if (maintenance.enabled) break;
+      try {
+        await settleFromProvider(id, 'watcher');
+      } catch (error) {
+        console.error(`Game watcher failed for match ${id}:`, error.message);
+      }
+    }
+  } finally {
+    watchingGames = false;
+  }
+}
+
+// Live tracking: matches whose Lichess game is known follow its stream, so
+// moves and clocks show up as they happen and the result is recorded as
+// soon as the game ends
+function saveLiveGame(matchId, gameId, live) {
+  const existing = findOne('live_games', { match_id: matchId });
+  const fields = { match_id: matchId, lichess_game_id: gameId, ...live };
+  
+  if (existing) {
+    update('live_games', existing.id, fields);
+  } else {
+    insert('live_games', fields);
+  }
+}
+
+async function onMatchGameEnded(matchId, live) {
+  // Aborted games do not count; the watcher keeps looking for a real one.
+  // During maintenance the watcher also picks the result up afterwards.
+  if (STATUS_OUTCOMES[live.status] === 'void' || maintenance.enabled) return;
+  
+  // Counted like a request so a restore waits for the settlement
+  maintenance.inFlight++;
+  try {
+    await withLocks(matchLockKeys({ params: { id: matchId } }), () => {
+      const match = findById('matches', matchId);
+      if (match.status !== 'in_progress') return;
+      
+      update('matches', match.id, {
+        status: 'result_pending',
+        game_ended_at: new Date().toISOString()
+      });
+    });
+    
+    await settleFromProvider(matchId, 'stream');
+  } finally {
+    maintenance.inFlight--;
+  }
+}
+
+// Games Lichess had not analysed are run through the local Stockfish. The
+// analysis runs outside the match lock; the verdict is applied only if the
+// match is still waiting for it.
+let screeningGames = false;
+
+async function screenPendingGames() {
+  if (maintenance.enabled || screeningGames) return;
+  screeningGames = true;
+  
+  try {
+    // Series verdicts come from their games, screened below
+    for (const { id } of findAll('matches', m => m.fair_play?.status === 'pending' && !m.series)) {
+      if (maintenance.enabled) return;
+      const match = findById('matches', id);
+      let verdict;
+      
+      try {
+        verdict = match.pgn
+          ? await fairPlay.screenPgn(match.pgn)
+          : { ...match.fair_play, status: 'unavailable', screened_at: new Date().toISOString() };
+      } catch (error) {
+        console.error(`Fair-play analysis failed for match ${id}:`, error.message);
+        verdict = { ...match.fair_play, status: 'unavailable', error: error.message, screened_at: new Date().toISOString() };
+      }
+      
+      await withLocks(matchLockKeys({ params: { id } }), () => {
+        const current = findById('matches', id);
+        if (current.fair_play?.status !== 'pending') return;
+        
+        const flagged = verdict.status === 'flagged' && current.status === 'awaiting_appeal';
+        update('matches', id, {
+          fair_play: verdict,
+          ...(flagged ? { status: 'fair_play_review', admin_review: 1 } : {})
+        });
+        
+        if (flagged) {
+          insert('admin_logs', {
+            type: 'fair_play',
+            message: `Match ${id} flagged for fair-play review`,
+            details: verdict.reasons
+          });
+        }
+      });
+    }
+    
+    for (const { id } of findAll('match_games', g => g.fair_play?.status === 'pending')) {
+      if (maintenance.enabled) return;
+      const game = findById('match_games', id);
+      let verdict;
+      
+      try {
+        verdict = game.pgn
+          ? await fairPlay.screenPgn(game.pgn)
+          : { ...game.fair_play, status: 'unavailable', screened_at: new Date().toISOString() };
+      } catch (error) {
+        console.error(`Fair-play analysis failed for match ${game.match_id} game ${game.number}:`, error.message);
+        verdict = { ...game.fair_play, status: 'unavailable', error: error.message, screened_at: new Date().toISOString() };
+      }
+      
+      await withLocks(matchLockKeys({ params: { id: game.match_id } }), () => {
+        if (findById('match_games', id).fair_play?.status !== 'pending') return;
+        update('match_games', id, { fair_play: verdict });
+        
+        // A settled series waiting on this game gets its combined verdict again
+        const match = findById('matches', game.match_id);
+        if (match.fair_play?.status !== 'pending') return;
+        
+        const combined = combineFairPlay(seriesGames(match.id));
+        const flagged = combined.status === 'flagged' && match.status === 'awaiting_appeal';
+        update('matches', match.id, {
+          fair_play: combined,
+          ...(flagged ? { status: 'fair_play_review', admin_review: 1 } : {})
+        });
+        
+        if (flagged) {
+          insert('admin_logs', {
+            type: 'fair_play',
+            message: `Match ${match.id} flagged for fair-play review (series game ${game.number})`,
+            details: combined.reasons
+          });
+        }
+      });
+    }
+  } finally {
+    screeningGames = false;
+  }
+}
+
+function trackMatchGame(match) {
+  if (!match.lichess_game_id) return;
+  
+  gameStreams.follow(match.lichess_game_id, {
+    onUpdate: live => saveLiveGame(match.id, match.lichess_game_id, live),
+    onEnd: live => onMatchGameEnded(match.id, live)
+  });
+}
+
+// Follows every in-progress game, e.g. after a restart or a restore
+function resumeLiveTracking() {
+  findAll('matches', { status: 'in_progress' }, m => m.lichess_game_id).forEach(trackMatchGame);
+}
+
 // ================== AUTH ROUTES ==================
 
 app.post('/api/auth/register', async (req, res) => {
@@ -229,7 +1103,7 @@ app.post('/api/auth/register', async (req, res) => {
     }
     
     // Check unique constraints
-    const existingUser = findOne(db.users, u => 
+    const existingUser = findOne('users', u => 
       u.username === username || u.email === email || u.phone === phone
     );
     
@@ -247,7 +1121,7 @@ app.post('/api/auth/register', async (req, res) => {
     
     const passwordHash = await bcrypt.hash(password, 10);
     
-    const user = insert(db.users, {
+    const user = insert('users', {
       username,
       email,
       password_hash: passwordHash,
@@ -256,7 +1130,10 @@ app.post('/api/auth/register', async (req, res) => {
       phone_verified: 0,
       lichess_username: null,
       lichess_verified: 0,
+      chesscom_username: null,
+      chesscom_verified: 0,
       wallet_balance: 0,
+      reserved_balance: 0,
       locked_balance: 0,
       total_staked: 0,
       total_winnings: 0,
@@ -289,7 +1166,7 @@ app.post('/api/auth/login', async (req, res) => {
   try {
     const { username, password } = req.body;
     
-    const user = findOne(db.users, u => u.username === username || u.email === username);
+    const user = findOne('users', u => u.username === username || u.email === username);
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -316,6 +1193,8 @@ app.post('/api/auth/login', async (req, res) => {
         full_name: user.full_name,
         lichess_username: user.lichess_username,
         lichess_verified: user.lichess_verified,
+        chesscom_username: user.chesscom_username,
+        chesscom_verified: user.chesscom_verified,
         wallet_balance: user.wallet_balance,
         is_admin: user.is_admin
       }
@@ -329,7 +1208,7 @@ app.post('/api/auth/login', async (req, res) => {
 // ================== USER ROUTES ==================
 
 app.get('/api/user/profile', authenticateToken, (req, res) => {
-  const user = findById(db.users, req.user.id);
+  const user = findById('users', req.user.id);
   
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
@@ -346,160 +1225,443 @@ app.get('/api/user/profile', authenticateToken, (req, res) => {
   });
 });
 
-app.post('/api/user/lichess-link', authenticateToken, (req, res) => {
-  const { lichess_username } = req.body;
+// Lichess accounts are linked only through Lichess OAuth, which proves the
+// user owns the account. The callback is a browser redirect, so it is
+// matched to the DX user by the OAuth state rather than the JWT.
+function lichessRedirectUri(req) {
+  const base = CONFIG.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/user/lichess/oauth/callback`;
+}
+
+app.post('/api/user/lichess/oauth/start', authenticateToken, (req, res) => {
+  const user = findById('users', req.user.id);
   
-  if (!lichess_username) {
-    return res.status(400).json({ error: 'Lichess username required' });
+  if (user.lichess_verified) {
+    return res.status(400).json({ error: 'Unlink your current Lichess account first' });
   }
   
-  if (!validateUsername(lichess_username)) {
-    return res.status(400).json({ error: 'Invalid Lichess username format' });
-  }
+  res.json({ authorize_url: lichessOAuth.start(user.id, lichessRedirectUri(req)) });
+});
+
+app.get('/api/user/lichess/oauth/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const finish = (status, message) => res.redirect(`/?lichess=${status}&message=${encodeURIComponent(message)}`);
   
-  update(db.users, req.user.id, {
-    lichess_username,
-    lichess_verified: 1
-  });
+  if (error) {
+    return finish('error', 'Lichess login was cancelled');
+  }
   
-  res.json({ message: 'Lichess account linked', lichess_username });
+  try {
+    const account = await lichessOAuth.complete(state, code);
+    const lichessKey = account.lichess_username.toLowerCase();
+    
+    // One Lichess account per DX user
+    const owner = findOne('users', u =>
+      u.id !== account.user_id &&
+      u.lichess_verified &&
+      (u.lichess_username || '').toLowerCase() === lichessKey
+    );
+    if (owner) {
+      return finish('error', `Lichess account ${account.lichess_username} is already linked to another DX user`);
+    }
+    
+    update('users', account.user_id, {
+      lichess_username: account.lichess_username,
+      lichess_id: account.lichess_id,
+      lichess_verified: 1,
+      lichess_linked_at: new Date().toISOString()
+    });
+    
+    finish('linked', `Lichess account ${account.lichess_username} linked`);
+  } catch (err) {
+    if (err instanceof OAuthError) {
+      return finish('error', err.message);
+    }
+    console.error('Lichess OAuth error:', err);
+    finish('error', 'Failed to link Lichess account');
+  }
 });
 
-// ================== WALLET ROUTES ==================
+app.delete('/api/user/lichess', authenticateToken, lockedRoute(req => [`user:${req.user.id}`], (req, res) => {
+  const user = findById('users', req.user.id);
+  
+  if (!user.lichess_username) {
+    return res.status(400).json({ error: 'No Lichess account linked' });
+  }
+  
+  // Results are matched to players by Lichess username
+  const openMatch = findOne('matches', { status: UNSETTLED_MATCH_STATUSES }, m =>
+    (m.creator_id === user.id || m.opponent_id === user.id) &&
+    (m.provider || 'lichess') === 'lichess'
+  );
+  if (openMatch) {
+    return res.status(400).json({ error: 'Cannot unlink Lichess while you have an unsettled match' });
+  }
+  
+  // Queue entries are paired on the Lichess account they were joined with
+  if (findOne('queue_entries', { user_id: user.id, status: 'waiting' })) {
+    return res.status(400).json({ error: 'Cannot unlink Lichess while you are in the matchmaking queue' });
+  }
+  
+  update('users', user.id, {
+    lichess_username: null,
+    lichess_id: null,
+    lichess_verified: 0,
+    lichess_linked_at: null
+  });
+  
+  res.json({ message: 'Lichess account unlinked' });
+}));
+
+// Chess.com has no OAuth for third parties. The user puts a one-time code in
+// the Location field of their Chess.com profile, which only the owner can
+// edit, and DX reads it back from the public API.
+app.post('/api/user/chesscom/link', authenticateToken, (req, res) => {
+  const { username } = req.body;
+  const user = findById('users', req.user.id);
+  
+  if (!username || !/^[A-Za-z0-9_-]{3,25}$/.test(username)) {
+    return res.status(400).json({ error: 'Enter a valid Chess.com username' });
+  }
+  
+  if (user.chesscom_verified) {
+    return res.status(400).json({ error: 'Unlink your current Chess.com account first' });
+  }
+  
+  const code = `DX-${Math.random().toString(36).substring(2, 10).toUpperCase()}`;
+  update('users', user.id, {
+    chesscom_pending_username: username,
+    chesscom_link_code: code
+  });
+  
+  res.json({
+    code,
+    instructions: `Add ${code} to the Location field of your Chess.com profile (chess.com/settings), save, then press Verify. You can remove it once the account is linked.`
+  });
+});
+
+app.post('/api/user/chesscom/verify', authenticateToken, lockedRoute(req => [`user:${req.user.id}`], async (req, res) => {
+  const user = findById('users', req.user.id);
+  
+  if (!user.chesscom_link_code) {
+    return res.status(400).json({ error: 'Start linking a Chess.com account first' });
+  }
+  
+  const username = await providers.get('chesscom').verifyProfileCode(user.chesscom_pending_username, user.chesscom_link_code);
+  if (!username) {
+    return res.status(400).json({ error: `Code ${user.chesscom_link_code} was not found in the Location field of ${user.chesscom_pending_username}'s Chess.com profile` });
+  }
+  
+  // One Chess.com account per DX user
+  const owner = findOne('users', u =>
+    u.id !== user.id &&
+    u.chesscom_verified &&
+    (u.chesscom_username || '').toLowerCase() === username.toLowerCase()
+  );
+  if (owner) {
+    return res.status(400).json({ error: `Chess.com account ${username} is already linked to another DX user` });
+  }
+  
+  update('users', user.id, {
+    chesscom_username: username,
+    chesscom_verified: 1,
+    chesscom_linked_at: new Date().toISOString(),
+    chesscom_pending_username: null,
+    chesscom_link_code: null
+  });
+  
+  res.json({ message: `Chess.com account ${username} linked`, chesscom_username: username });
+}));
+
+app.delete('/api/user/chesscom', authenticateToken, (req, res) => {
+  const user = findById('users', req.user.id);
+  
+  if (!user.chesscom_username) {
+    return res.status(400).json({ error: 'No Chess.com account linked' });
+  }
+  
+  const openMatch = findOne('matches', { status: UNSETTLED_MATCH_STATUSES }, m =>
+    (m.creator_id === user.id || m.opponent_id === user.id) &&
+    m.provider === 'chesscom'
+  );
+  if (openMatch) {
+    return res.status(400).json({ error: 'Cannot unlink Chess.com while you have an unsettled Chess.com match' });
+  }
+  
+  update('users', user.id, {
+    chesscom_username: null,
+    chesscom_verified: 0,
+    chesscom_linked_at: null
+  });
+  
+  res.json({ message: 'Chess.com account unlinked' });
+});
+
+// ================== NOTIFICATION ROUTES ==================
+
+// Latest notifications, newest first, with the unread count
+app.get('/api/notifications', authenticateToken, (req, res) => {
+  const notifications = findAll('notifications', { user_id: req.user.id })
+    .sort((a, b) => b.id - a.id);
+  
+  res.json({
+    unread: notifications.filter(n => !n.read_at).length,
+    notifications: notifications.slice(0, 50)
+  });
+});
+
+// Mark all of the user's notifications read
+app.post('/api/notifications/read', authenticateToken, (req, res) => {
+  const now = new Date().toISOString();
+  const unread = findAll('notifications', { user_id: req.user.id }, n => !n.read_at);
+  
+  transaction(() => {
+    unread.forEach(n => update('notifications', n.id, { read_at: now }));
+  });
+  
+  res.json({ message: 'Notifications marked as read', marked: unread.length });
+});
+
+// ================== WALLET ROUTES ==================
 
 app.get('/api/wallet/balance', authenticateToken, (req, res) => {
-  const user = findById(db.users, req.user.id);
-  res.json({ available: user.wallet_balance, locked: user.locked_balance });
+  const user = findById('users', req.user.id);
+  res.json({
+    available: user.wallet_balance,
+    reserved: user.reserved_balance,
+    locked: user.locked_balance
+  });
 });
 
 app.get('/api/wallet/transactions', authenticateToken, (req, res) => {
-  const transactions = findAll(db.transactions, t => t.user_id === req.user.id)
+  const transactions = findAll('transactions', { user_id: req.user.id })
     .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
     .slice(0, 50);
   res.json(transactions);
 });
 
-app.post('/api/wallet/deposit', authenticateToken, (req, res) => {
+app.post('/api/wallet/deposit', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(req => [`user:${req.user.id}`], (req, res) => {
   const { amount } = req.body;
   
-  if (!amount || amount < 100) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'Amount must be a whole number of naira' });
+  }
+  
+  if (amount < 100) {
     return res.status(400).json({ error: 'Minimum deposit is ₦100' });
   }
   
-  const user = findById(db.users, req.user.id);
-  user.wallet_balance += amount;
-  saveDatabase();
+  const referenceId = `DEP${Date.now()}`;
   
-  insert(db.transactions, {
-    user_id: req.user.id,
-    type: 'deposit',
-    amount,
-    description: 'Wallet deposit',
-    reference_id: `DEP${Date.now()}`,
-    status: 'completed'
+  transaction(() => {
+    ledger.transfer(ACCOUNTS.GATEWAY, ACCOUNTS.available(req.user.id), amount, {
+      type: 'deposit',
+      reference_id: referenceId,
+      description: 'Wallet deposit'
+    });
+    
+    insert('transactions', {
+      user_id: req.user.id,
+      type: 'deposit',
+      amount,
+      description: 'Wallet deposit',
+      reference_id: referenceId,
+      status: 'completed'
+    });
   });
   
+  const user = findById('users', req.user.id);
+  
   res.json({ message: 'Deposit successful', new_balance: user.wallet_balance });
-});
+}));
 
-app.post('/api/wallet/withdraw', authenticateToken, (req, res) => {
+app.post('/api/wallet/withdraw', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(req => [`user:${req.user.id}`], (req, res) => {
   const { amount, bank_details } = req.body;
   
-  if (!amount || amount < 500) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'Amount must be a whole number of naira' });
+  }
+  
+  if (amount < 500) {
     return res.status(400).json({ error: 'Minimum withdrawal is ₦500' });
   }
   
-  const user = findById(db.users, req.user.id);
+  const user = findById('users', req.user.id);
   
   if (user.wallet_balance < amount) {
     return res.status(400).json({ error: 'Insufficient balance' });
   }
   
-  user.wallet_balance -= amount;
-  saveDatabase();
+  const referenceId = `WTH${Date.now()}`;
   
-  insert(db.transactions, {
-    user_id: req.user.id,
-    type: 'withdrawal',
-    amount,
-    description: 'Withdrawal request',
-    reference_id: `WTH${Date.now()}`,
-    status: 'pending',
-    bank_details: bank_details || null
+  transaction(() => {
+    ledger.transfer(ACCOUNTS.available(user.id), ACCOUNTS.GATEWAY, amount, {
+      type: 'withdrawal',
+      reference_id: referenceId,
+      description: 'Withdrawal request'
+    });
+    
+    insert('transactions', {
+      user_id: req.user.id,
+      type: 'withdrawal',
+      amount,
+      description: 'Withdrawal request',
+      reference_id: referenceId,
+      status: 'pending',
+      bank_details: bank_details || null
+    });
   });
   
   res.json({ message: 'Withdrawal request submitted for approval' });
-});
+}));
 
 // ================== CHALLENGE ROUTES ==================
 
-// Send challenge to specific user
-app.post('/api/challenges/send', authenticateToken, (req, res) => {
-  const { opponent_username, stake_amount, time_control, is_rated } = req.body;
+// Expiry choices for new challenges
+app.get('/api/challenges/expiry-limits', authenticateToken, (req, res) => {
+  res.json(challengeExpiryLimits());
+});
+
+// Send challenge to a specific user, or post an open one to the lobby when
+// no opponent is named
+// Series terms from a challenge request, or null for a single game
+function parseSeries({ series_format = 'single', series_games, tiebreak = 'split' }) {
+  if (!series_format || series_format === 'single') return { series: null };
+  
+  const series = { format: series_format, games: parseInt(series_games), tiebreak };
+  const error = validateSeries(series);
+  return error ? { error } : { series };
+}
+
+app.post('/api/challenges/send', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(req => [`user:${req.user.id}`], async (req, res) => {
+  const { opponent_username, stake_amount, time_control, is_rated, variant = 'standard', color = 'random', provider = 'lichess', expires_in_minutes } = req.body;
   
   // Validation
-  if (!opponent_username) {
-    return res.status(400).json({ error: 'Opponent username required' });
+  if (!Number.isInteger(stake_amount)) {
+    return res.status(400).json({ error: 'Stake must be a whole number of naira' });
   }
   
   if (stake_amount < CONFIG.MIN_STAKE) {
     return res.status(400).json({ error: `Minimum stake is ₦${CONFIG.MIN_STAKE}` });
   }
+
+  if (!isValidTimeControl(time_control)) {
+    return res.status(400).json({ error: TIME_CONTROL_ERROR });
+  }
+
+  const site = providers.get(provider);
+  if (!site) {
+    return res.status(400).json({ error: `Unsupported provider. Choose one of: ${providers.list().map(p => p.name).join(', ')}` });
+  }
   
-  // Check if opponent exists
-  const opponent = findOne(db.users, u => u.username === opponent_username);
-  if (!opponent) {
-    return res.status(404).json({ error: 'User not found' });
+  if (!VARIANTS[variant] || !site.variants.includes(variant)) {
+    return res.status(400).json({ error: `Unsupported variant on ${site.label}. Choose one of: ${site.variants.join(', ')}` });
+  }
+  
+  if (!COLORS.includes(color)) {
+    return res.status(400).json({ error: 'Color must be white, black or random' });
   }
   
-  if (opponent.id === req.user.id) {
-    return res.status(400).json({ error: 'Cannot challenge yourself' });
+  const expiryMinutes = challengeExpiryMinutes(expires_in_minutes);
+  if (!expiryMinutes) {
+    const { min_minutes, max_minutes } = challengeExpiryLimits();
+    return res.status(400).json({ error: `Expiry must be a whole number of minutes from ${min_minutes} to ${max_minutes}` });
   }
   
-  const user = findById(db.users, req.user.id);
+  const { series, error: seriesError } = parseSeries(req.body);
+  if (seriesError) {
+    return res.status(400).json({ error: seriesError });
+  }
+  
+  // Check if opponent exists
+  let opponent = null;
+  if (opponent_username) {
+    opponent = findOne('users', { username: String(opponent_username) });
+    if (!opponent) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (opponent.id === req.user.id) {
+      return res.status(400).json({ error: 'Cannot challenge yourself' });
+    }
+  }
+  
+  const user = findById('users', req.user.id);
+  
+  if (!requireVerifiedAccounts(res, opponent ? [user, opponent] : [user], provider, user.id)) return;
   
   if (user.wallet_balance < stake_amount) {
     return res.status(400).json({ error: 'Insufficient wallet balance' });
   }
   
   // Check for existing pending challenges between these users
-  const existingChallenge = findOne(db.challenges, c => 
-    c.creator_id === req.user.id && 
-    c.opponent_id === opponent.id &&
-    c.status === 'pending' &&
-    new Date(c.expires_at) > new Date()
+  const existingChallenge = opponent && findOne('challenges',
+    { creator_id: req.user.id, opponent_id: opponent.id, status: 'pending' },
+    c => new Date(c.expires_at) > new Date()
   );
   
   if (existingChallenge) {
     return res.status(400).json({ error: 'You already have a pending challenge to this user' });
   }
   
+  // An open challenge has no opponent yet; theirs is checked when they accept
+  const trustFlags = await checkChallengeTrust(res, opponent ? [user, opponent] : [user], { provider, timeControl: time_control, variant },
+    opponent ? `challenge from ${user.username} to ${opponent.username}` : `open challenge from ${user.username}`);
+  if (!trustFlags) return;
+  
   // Create challenge
   const challengeCode = generateChallengeCode();
-  const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes expiry
+  const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
   
   const { totalPot, fee, winnerPayout } = calculateFee(stake_amount);
   
-  const challenge = insert(db.challenges, {
-    challenge_code: challengeCode,
-    creator_id: req.user.id,
-    creator_username: user.username,
-    creator_lichess: user.lichess_username,
-    opponent_id: opponent.id,
-    opponent_username: opponent.username,
-    opponent_lichess: opponent.lichess_username,
-    stake_amount,
-    time_control,
-    is_rated: is_rated ? 1 : 0,
-    status: 'pending',
-    expires_at: expiresAt.toISOString(),
-    total_pot: totalPot,
-    dx_fee: fee,
-    winner_payout: winnerPayout
+  // The stake is reserved now so the same money cannot back several challenges
+  const challenge = transaction(() => {
+    const challenge = insert('challenges', {
+      challenge_code: challengeCode,
+      creator_id: req.user.id,
+      creator_username: user.username,
+      creator_account: site.account(user).username,
+      opponent_id: opponent ? opponent.id : null,
+      opponent_username: opponent ? opponent.username : null,
+      opponent_account: opponent ? site.account(opponent).username : null,
+      is_open: opponent ? 0 : 1,
+      provider,
+      stake_amount,
+      time_control,
+      is_rated: is_rated ? 1 : 0,
+      variant,
+      color,
+      series,
+      status: 'pending',
+      expiry_minutes: expiryMinutes,
+      expires_at: expiresAt.toISOString(),
+      total_pot: totalPot,
+      dx_fee: fee,
+      winner_payout: winnerPayout,
+      stake_held: 1,
+      trust_flags: trustFlags
+    });
+    
+    ledger.transfer(ACCOUNTS.available(user.id), ACCOUNTS.held(user.id), stake_amount, {
+      type: 'stake_hold',
+      reference_id: `HLD${challenge.id}`,
+      description: `Stake reserved for challenge ${challengeCode}`
+    });
+    
+    insert('transactions', {
+      user_id: user.id,
+      type: 'hold',
+      amount: stake_amount,
+      description: opponent ? `Stake reserved for challenge to ${opponent.username}` : 'Stake reserved for open challenge',
+      reference_id: `HLD${challenge.id}`
+    });
+    
+    return findById('challenges', challenge.id);
   });
   
   res.status(201).json({
-    message: 'Challenge sent successfully',
+    message: opponent ? 'Challenge sent successfully' : 'Open challenge posted to the lobby',
     challenge: {
       ...challenge,
       fee_breakdown: {
@@ -510,14 +1672,13 @@ app.post('/api/challenges/send', authenticateToken, (req, res) => {
       }
     }
   });
-});
+}));
 
 // Get pending challenges (received)
 app.get('/api/challenges/pending', authenticateToken, (req, res) => {
-  const challenges = findAll(db.challenges, c => 
-    c.opponent_id === req.user.id && 
-    c.status === 'pending' &&
-    new Date(c.expires_at) > new Date()
+  const challenges = findAll('challenges',
+    { opponent_id: req.user.id, status: 'pending' },
+    c => new Date(c.expires_at) > new Date()
   ).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
   
   res.json(challenges);
@@ -525,89 +1686,139 @@ app.get('/api/challenges/pending', authenticateToken, (req, res) => {
 
 // Get sent challenges
 app.get('/api/challenges/sent', authenticateToken, (req, res) => {
-  const challenges = findAll(db.challenges, c => 
-    c.creator_id === req.user.id
+  const challenges = findAll('challenges', { creator_id: req.user.id }).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  
+  res.json(challenges);
+});
+
+// Browse the lobby: open challenges from other players, newest first.
+// Optional filters: min_stake, max_stake, time_control, rated (true/false),
+// provider and variant.
+app.get('/api/challenges/open', authenticateToken, (req, res) => {
+  const { min_stake, max_stake, time_control, rated, provider, variant } = req.query;
+  const minStake = min_stake ? parseFloat(min_stake) : null;
+  const maxStake = max_stake ? parseFloat(max_stake) : null;
+  
+  if ((minStake !== null && Number.isNaN(minStake)) || (maxStake !== null && Number.isNaN(maxStake))) {
+    return res.status(400).json({ error: 'Stake filters must be numbers' });
+  }
+  
+  if (rated && rated !== 'true' && rated !== 'false') {
+    return res.status(400).json({ error: 'rated must be true or false' });
+  }
+  
+  const now = new Date();
+  const challenges = findAll('challenges', { status: 'pending' }, c => 
+    c.is_open &&
+    c.creator_id !== req.user.id &&
+    new Date(c.expires_at) > now &&
+    (minStake === null || c.stake_amount >= minStake) &&
+    (maxStake === null || c.stake_amount <= maxStake) &&
+    (!time_control || c.time_control === time_control) &&
+    (!rated || !!c.is_rated === (rated === 'true')) &&
+    (!provider || (c.provider || 'lichess') === provider) &&
+    (!variant || (c.variant || 'standard') === variant)
   ).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
   
   res.json(challenges);
 });
 
 // Accept challenge
-app.post('/api/challenges/:code/accept', authenticateToken, (req, res) => {
+function challengeLockKeys(req) {
+  const challenge = findOne('challenges', { challenge_code: req.params.code });
+  return [`challenge:${req.params.code}`, challenge && `user:${challenge.creator_id}`, `user:${req.user.id}`];
+}
+
+app.post('/api/challenges/:code/accept', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(challengeLockKeys, async (req, res) => {
   const { code } = req.params;
   
-  const challenge = findOne(db.challenges, c => 
-    c.challenge_code === code && 
-    c.status === 'pending' &&
-    c.opponent_id === req.user.id
+  // Open challenges go to whoever accepts first; the challenge lock
+  // serializes accepts, so later ones no longer find it pending
+  const challenge = findOne('challenges', { challenge_code: code, status: 'pending' }, c => 
+    c.opponent_id === req.user.id || (c.is_open && !c.opponent_id)
   );
   
   if (!challenge) {
     return res.status(404).json({ error: 'Challenge not found or expired' });
   }
   
+  if (challenge.creator_id === req.user.id) {
+    return res.status(400).json({ error: 'Cannot accept your own challenge' });
+  }
+  
   if (new Date(challenge.expires_at) < new Date()) {
+    // Not awaited: the sweep needs this challenge's locks, held until we return
+    expireStaleChallenges();
     return res.status(400).json({ error: 'Challenge has expired' });
   }
   
-  const opponent = findById(db.users, req.user.id);
+  const opponent = findById('users', req.user.id);
   
   if (opponent.wallet_balance < challenge.stake_amount) {
     return res.status(400).json({ error: 'Insufficient balance to accept challenge' });
   }
   
-  // Debit opponent
-  opponent.wallet_balance -= challenge.stake_amount;
-  opponent.locked_balance = (opponent.locked_balance || 0) + challenge.stake_amount;
-  
-  // Debit creator
-  const creator = findById(db.users, challenge.creator_id);
-  creator.locked_balance = (creator.locked_balance || 0) + challenge.stake_amount;
+  const creator = findById('users', challenge.creator_id);
   
-  // Update challenge status
-  update(db.challenges, challenge.id, {
-    status: 'accepted',
-    accepted_at: new Date().toISOString()
-  });
+  // The creator may have unlinked since sending
+  if (!requireVerifiedAccounts(res, [opponent, creator], challenge.provider, opponent.id)) return;
   
-  // Create match record
-  const { totalPot, fee, winnerPayout } = calculateFee(challenge.stake_amount);
+  // Challenges sent before stakes were reserved at send time still draw on the wallet
+  if (!challenge.stake_held && creator.wallet_balance < challenge.stake_amount) {
+    return res.status(400).json({ error: 'Challenger no longer has enough balance for this stake' });
+  }
   
-  const match = insert(db.matches, {
-    challenge_id: challenge.id,
-    creator_id: challenge.creator_id,
-    opponent_id: challenge.opponent_id,
-    stake_amount: challenge.stake_amount,
-    time_control: challenge.time_control,
-    is_rated: challenge.is_rated,
-    status: 'in_progress',
-    lichess_game_id: null,
-    lichess_game_url: null,
-    dx_fee: fee,
-    payout_amount: 0,
-    appeal_deadline: null,
-    appeal_submitted: 0
+  // Checked again: accounts can be closed or flagged while a challenge waits
+  const trustFlags = await checkChallengeTrust(res, [creator, opponent], {
+    provider: challenge.provider,
+    timeControl: challenge.time_control,
+    variant: challenge.variant
+  }, `challenge ${challenge.challenge_code}`);
+  if (!trustFlags) return;
+  
+  // Balances, challenge and match are written together or not at all
+  const match = transaction(() => {
+    // Move both stakes into escrow; the creator's comes out of their reservation
+    lockStake(creator.id, challenge, !!challenge.stake_held);
+    lockStake(opponent.id, challenge, false);
+    
+    // Update challenge status
+    update('challenges', challenge.id, {
+      status: 'accepted',
+      accepted_at: new Date().toISOString(),
+      stake_held: 0,
+      opponent_id: opponent.id,
+      opponent_username: opponent.username,
+      opponent_account: providers.get(challenge.provider).account(opponent).username
+    }, { expectedVersion: challenge.version });
+    
+    // Create match record
+    return insertMatch(challenge, opponent.id, trustFlags);
   });
   
-  saveDatabase();
+  const startedMatch = await startMatchGame(match, creator, opponent);
+  
+  const gameType = challenge.variant === 'standard'
+    ? challenge.time_control
+    : `${challenge.time_control} ${VARIANTS[challenge.variant]}`;
   
   res.json({
-    message: 'Challenge accepted! Both players have been debited.',
+    message: 'Challenge accepted! Both stakes are now in escrow.',
     challenge,
-    match,
-    instructions: `Both players must play one ${challenge.time_control} game on Lichess. The first completed game counts.`
+    match: startedMatch,
+    game_url: startedMatch.lichess_game_id ? startedMatch.opponent_game_url : null,
+    instructions: startedMatch.lichess_game_id
+      ? `Your ${gameType} game is ready on Lichess: ${startedMatch.opponent_game_url}`
+      : `Both players must play one ${gameType} game on ${providers.get(challenge.provider).label}. The first completed game counts.`
   });
-});
+}));
 
 // Decline challenge
-app.post('/api/challenges/:code/decline', authenticateToken, (req, res) => {
+app.post('/api/challenges/:code/decline', authenticateToken, blockDuringMaintenance, lockedRoute(challengeLockKeys, (req, res) => {
   const { code } = req.params;
   const { reason } = req.body;
   
-  const challenge = findOne(db.challenges, c => 
-    c.challenge_code === code && 
-    c.status === 'pending'
-  );
+  const challenge = findOne('challenges', { challenge_code: code, status: 'pending' });
   
   if (!challenge) {
     return res.status(404).json({ error: 'Challenge not found' });
@@ -617,51 +1828,351 @@ app.post('/api/challenges/:code/decline', authenticateToken, (req, res) => {
     return res.status(403).json({ error: 'Not authorized' });
   }
   
-  update(db.challenges, challenge.id, {
-    status: 'declined',
-    declined_at: new Date().toISOString(),
-    decline_reason: reason || null
+  transaction(() => {
+    update('challenges', challenge.id, {
+      status: 'declined',
+      declined_at: new Date().toISOString(),
+      decline_reason: reason || null
+    });
+    releaseChallengeHold(challenge, 'declined');
   });
   
   res.json({ message: 'Challenge declined' });
-});
+}));
+
+// One round of a challenge negotiation, as kept in challenge.negotiation
+function negotiationRound(challenge) {
+  return {
+    challenge_code: challenge.challenge_code,
+    proposed_by: challenge.creator_username,
+    stake_amount: challenge.stake_amount,
+    time_control: challenge.time_control,
+    is_rated: challenge.is_rated,
+    proposed_at: challenge.created_at
+  };
+}
+
+// Counter a received challenge with a different stake, time control or rated
+// setting. The counter is a new pending challenge from the recipient back to
+// the sender, linked to the one it replaces; the sender can accept it,
+// counter again or decline. The countered challenge's reserved stake is
+// returned and the counter reserves the new stake, so each round holds
+// exactly one player's money.
+app.post('/api/challenges/:code/counter', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(challengeLockKeys, async (req, res) => {
+  const { code } = req.params;
+  
+  const challenge = findOne('challenges', { challenge_code: code, status: 'pending', opponent_id: req.user.id });
+  
+  if (!challenge) {
+    return res.status(404).json({ error: 'Challenge not found or expired' });
+  }
+  
+  if (new Date(challenge.expires_at) < new Date()) {
+    // Not awaited: the sweep needs this challenge's locks, held until we return
+    expireStaleChallenges();
+    return res.status(400).json({ error: 'Challenge has expired' });
+  }
+  
+  const stakeAmount = req.body.stake_amount ?? challenge.stake_amount;
+  const timeControl = req.body.time_control ?? challenge.time_control;
+  const isRated = req.body.is_rated == null ? challenge.is_rated : (req.body.is_rated ? 1 : 0);
+  
+  if (stakeAmount === challenge.stake_amount && timeControl === challenge.time_control && isRated === challenge.is_rated) {
+    return res.status(400).json({ error: 'A counter-offer must change the stake, time control or rated setting' });
+  }
+  
+  if (!Number.isInteger(stakeAmount)) {
+    return res.status(400).json({ error: 'Stake must be a whole number of naira' });
+  }
+  
+  if (stakeAmount < CONFIG.MIN_STAKE) {
+    return res.status(400).json({ error: `Minimum stake is ₦${CONFIG.MIN_STAKE}` });
+  }
+  
+  if (!isValidTimeControl(timeControl)) {
+    return res.status(400).json({ error: TIME_CONTROL_ERROR });
+  }
+  
+  // A counter-offer runs as long as the challenge it answers unless told otherwise
+  const expiryMinutes = challengeExpiryMinutes(req.body.expires_in_minutes ?? challenge.expiry_minutes);
+  if (!expiryMinutes) {
+    const { min_minutes, max_minutes } = challengeExpiryLimits();
+    return res.status(400).json({ error: `Expiry must be a whole number of minutes from ${min_minutes} to ${max_minutes}` });
+  }
+  
+  const user = findById('users', req.user.id);
+  const sender = findById('users', challenge.creator_id);
+  
+  if (!requireVerifiedAccounts(res, [user, sender], challenge.provider, user.id)) return;
+  
+  if (user.wallet_balance < stakeAmount) {
+    return res.status(400).json({ error: 'Insufficient wallet balance' });
+  }
+  
+  // New terms can mean a new speed, with its own rated-games requirement
+  const trustFlags = await checkChallengeTrust(res, [user, sender], {
+    provider: challenge.provider,
+    timeControl,
+    variant: challenge.variant
+  }, `counter-offer from ${user.username} to ${sender.username}`);
+  if (!trustFlags) return;
+  
+  const { totalPot, fee, winnerPayout } = calculateFee(stakeAmount);
+  
+  const counter = transaction(() => {
+    // Colors are the creator's, and the roles swap with each round
+    const color = challenge.color === 'white' ? 'black' : challenge.color === 'black' ? 'white' : challenge.color;
+    
+    const counter = insert('challenges', {
+      challenge_code: generateChallengeCode(),
+      creator_id: user.id,
+      creator_username: user.username,
+      creator_account: challenge.opponent_account,
+      opponent_id: sender.id,
+      opponent_username: sender.username,
+      opponent_account: challenge.creator_account,
+      is_open: 0,
+      provider: challenge.provider,
+      stake_amount: stakeAmount,
+      time_control: timeControl,
+      is_rated: isRated,
+      variant: challenge.variant,
+      color,
+      series: challenge.series || null,
+      status: 'pending',
+      expiry_minutes: expiryMinutes,
+      expires_at: new Date(Date.now() + expiryMinutes * 60 * 1000).toISOString(),
+      total_pot: totalPot,
+      dx_fee: fee,
+      winner_payout: winnerPayout,
+      stake_held: 1,
+      trust_flags: trustFlags,
+      parent_challenge_id: challenge.id,
+      root_challenge_id: challenge.root_challenge_id || challenge.id,
+      revision: (challenge.revision || 1) + 1,
+      // A countered rematch is still a rematch
+      rematch_of: challenge.rematch_of || null,
+      rematch_chain_id: challenge.rematch_chain_id || null
+    });
+    
+    update('challenges', counter.id, {
+      negotiation: [...(challenge.negotiation || [negotiationRound(challenge)]), negotiationRound(counter)]
+    });
+    
+    update('challenges', challenge.id, {
+      status: 'countered',
+      countered_at: new Date().toISOString(),
+      counter_challenge_id: counter.id,
+      counter_code: counter.challenge_code
+    }, { expectedVersion: challenge.version });
+    releaseChallengeHold(challenge, 'countered');
+    
+    ledger.transfer(ACCOUNTS.available(user.id), ACCOUNTS.held(user.id), stakeAmount, {
+      type: 'stake_hold',
+      reference_id: `HLD${counter.id}`,
+      description: `Stake reserved for challenge ${counter.challenge_code}`
+    });
+    
+    insert('transactions', {
+      user_id: user.id,
+      type: 'hold',
+      amount: stakeAmount,
+      description: `Stake reserved for counter-offer to ${sender.username}`,
+      reference_id: `HLD${counter.id}`
+    });
+    
+    return findById('challenges', counter.id);
+  });
+  
+  res.status(201).json({
+    message: `Counter-offer sent to ${sender.username}`,
+    challenge: counter
+  });
+}));
 
 // Cancel challenge (by creator)
-app.post('/api/challenges/:code/cancel', authenticateToken, (req, res) => {
+app.post('/api/challenges/:code/cancel', authenticateToken, blockDuringMaintenance, lockedRoute(challengeLockKeys, (req, res) => {
   const { code } = req.params;
   
-  const challenge = findOne(db.challenges, c => 
-    c.challenge_code === code && 
-    c.status === 'pending' &&
-    c.creator_id === req.user.id
-  );
+  const challenge = findOne('challenges', { challenge_code: code, status: 'pending', creator_id: req.user.id });
   
   if (!challenge) {
     return res.status(404).json({ error: 'Challenge not found or cannot be cancelled' });
   }
   
-  update(db.challenges, challenge.id, {
-    status: 'cancelled',
-    cancelled_at: new Date().toISOString()
+  transaction(() => {
+    update('challenges', challenge.id, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString()
+    });
+    releaseChallengeHold(challenge, 'cancelled');
   });
   
   res.json({ message: 'Challenge cancelled' });
+}));
+
+// ================== MATCHMAKING ROUTES ==================
+
+// A queue entry with live queue status: how many other players wait with the
+// same stake, time control and rated setting, and the match once paired
+function queueStatus(entry) {
+  const similar = findAll('queue_entries', { status: 'waiting' }, e => 
+    e.user_id !== entry.user_id &&
+    e.stake_amount === entry.stake_amount &&
+    e.time_control === entry.time_control &&
+    !!e.is_rated === !!entry.is_rated
+  );
+  
+  return {
+    ...entry,
+    players_waiting: similar.length,
+    players_in_range: similar.filter(e => isCompatible(entry, e)).length,
+    match: entry.match_id ? findById('matches', entry.match_id) : null
+  };
+}
+
+// Join the queue with a stake, time control and accepted rating range
+app.post('/api/matchmaking/join', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(req => [`user:${req.user.id}`], async (req, res) => {
+  const { stake_amount, time_control, is_rated, min_rating, max_rating } = req.body;
+  
+  if (!Number.isInteger(stake_amount)) {
+    return res.status(400).json({ error: 'Stake must be a whole number of naira' });
+  }
+  
+  if (stake_amount < CONFIG.MIN_STAKE) {
+    return res.status(400).json({ error: `Minimum stake is ₦${CONFIG.MIN_STAKE}` });
+  }
+  
+  if (!isValidTimeControl(time_control)) {
+    return res.status(400).json({ error: TIME_CONTROL_ERROR });
+  }
+  const speed = speedOf(time_control);
+  
+  const user = findById('users', req.user.id);
+  
+  // Players are matched on their Lichess rating, so a linked account is needed
+  if (!user.lichess_verified) {
+    return res.status(400).json({ error: 'Link your Lichess account to use matchmaking' });
+  }
+  
+  if (findOne('queue_entries', { user_id: user.id, status: 'waiting' })) {
+    return res.status(400).json({ error: 'You are already in the matchmaking queue' });
+  }
+  
+  if (user.wallet_balance < stake_amount) {
+    return res.status(400).json({ error: 'Insufficient wallet balance' });
+  }
+  
+  const profile = await accountTrust.get('lichess').profile(user.lichess_username);
+  if (!profile) {
+    return res.status(400).json({ error: `Lichess account ${user.lichess_username} no longer exists` });
+  }
+  
+  // Lichess rates every new player 1500 until they have played
+  const rating = profile.perfs?.[speed]?.rating || 1500;
+  const minRating = min_rating != null && min_rating !== '' ? parseInt(min_rating) : rating - CONFIG.MATCHMAKING_RATING_RANGE;
+  const maxRating = max_rating != null && max_rating !== '' ? parseInt(max_rating) : rating + CONFIG.MATCHMAKING_RATING_RANGE;
+  
+  if (Number.isNaN(minRating) || Number.isNaN(maxRating) || minRating > maxRating) {
+    return res.status(400).json({ error: 'Rating range must be two numbers, lowest first' });
+  }
+  
+  const trustFlags = await checkChallengeTrust(res, [user], { provider: 'lichess', timeControl: time_control, variant: 'standard' }, `matchmaking entry from ${user.username}`);
+  if (!trustFlags) return;
+  
+  // The stake is reserved while the player waits, as for a sent challenge
+  const entry = transaction(() => {
+    const entry = insert('queue_entries', {
+      user_id: user.id,
+      username: user.username,
+      lichess_username: user.lichess_username,
+      rating,
+      min_rating: minRating,
+      max_rating: maxRating,
+      stake_amount,
+      time_control,
+      is_rated: is_rated ? 1 : 0,
+      status: 'waiting',
+      expires_at: new Date(Date.now() + CONFIG.QUEUE_ENTRY_MINUTES * 60 * 1000).toISOString(),
+      stake_held: 1,
+      trust_flags: trustFlags,
+      challenge_id: null,
+      match_id: null
+    });
+    
+    ledger.transfer(ACCOUNTS.available(user.id), ACCOUNTS.held(user.id), stake_amount, {
+      type: 'stake_hold',
+      reference_id: `QUE${entry.id}`,
+      description: `Stake reserved for matchmaking entry ${entry.id}`
+    });
+    
+    insert('transactions', {
+      user_id: user.id,
+      type: 'hold',
+      amount: stake_amount,
+      description: 'Stake reserved for matchmaking',
+      reference_id: `QUE${entry.id}`
+    });
+    
+    return findById('queue_entries', entry.id);
+  });
+  
+  // Pair straight away once this request has released the user's lock
+  setImmediate(runMatchmaking);
+  
+  res.status(201).json({
+    message: 'You are in the queue. We will pair you with the first player in range.',
+    entry: queueStatus(entry)
+  });
+}));
+
+// The player's latest queue entry, or null if they never queued
+app.get('/api/matchmaking/status', authenticateToken, (req, res) => {
+  const entry = findAll('queue_entries', { user_id: req.user.id })
+    .sort((a, b) => b.id - a.id)[0];
+  
+  res.json({ entry: entry ? queueStatus(entry) : null });
 });
 
+// Leave the queue
+app.delete('/api/matchmaking', authenticateToken, blockDuringMaintenance, lockedRoute(req => [`user:${req.user.id}`], (req, res) => {
+  const entry = findOne('queue_entries', { user_id: req.user.id, status: 'waiting' });
+  
+  if (!entry) {
+    return res.status(404).json({ error: 'You are not in the matchmaking queue' });
+  }
+  
+  transaction(() => {
+    update('queue_entries', entry.id, {
+      status: 'left',
+      left_at: new Date().toISOString()
+    }, { expectedVersion: entry.version });
+    releaseQueueHold(entry, 'left');
+  });
+  
+  res.json({ message: 'You left the matchmaking queue' });
+}));
+
 // ================== MATCH & GAME ROUTES ==================
 
+// The games of a series so far, without their PGNs
+function seriesGameSummaries(matchId) {
+  return seriesGames(matchId).map(({ pgn, ...game }) => game);
+}
+
 // Get active matches
 app.get('/api/matches/active', authenticateToken, (req, res) => {
-  const matches = findAll(db.matches, m => 
-    (m.creator_id === req.user.id || m.opponent_id === req.user.id) &&
-    m.status === 'in_progress'
+  const matches = findAll('matches', { status: ['in_progress', 'result_pending'] }, m => 
+    m.creator_id === req.user.id || m.opponent_id === req.user.id
   ).map(m => {
-    const creator = findById(db.users, m.creator_id);
-    const opponent = findById(db.users, m.opponent_id);
+    const creator = findById('users', m.creator_id);
+    const opponent = findById('users', m.opponent_id);
     return {
       ...m,
       creator_username: creator?.username,
-      opponent_username: opponent?.username
+      opponent_username: opponent?.username,
+      series_games: m.series ? seriesGameSummaries(m.id) : null,
+      live: findOne('live_games', { match_id: m.id }) || null
     };
   });
   
@@ -670,34 +2181,97 @@ app.get('/api/matches/active', authenticateToken, (req, res) => {
 
 // Get completed matches
 app.get('/api/matches/completed', authenticateToken, (req, res) => {
-  const matches = findAll(db.matches, m => 
-    (m.creator_id === req.user.id || m.opponent_id === req.user.id) &&
-    ['completed', 'appealed', 'disbursed'].includes(m.status)
+  const matches = findAll('matches', { status: ['completed', 'appealed', 'disbursed'] }, m => 
+    m.creator_id === req.user.id || m.opponent_id === req.user.id
   ).map(m => {
-    const creator = findById(db.users, m.creator_id);
-    const opponent = findById(db.users, m.opponent_id);
-    const winner = m.winner_id ? findById(db.users, m.winner_id) : null;
+    const creator = findById('users', m.creator_id);
+    const opponent = findById('users', m.opponent_id);
+    const winner = m.winner_id ? findById('users', m.winner_id) : null;
+    const chain = rematchChain(m);
     return {
       ...m,
       creator_username: creator?.username,
       opponent_username: opponent?.username,
-      winner_username: winner?.username
+      winner_username: winner?.username,
+      series_games: m.series ? seriesGameSummaries(m.id) : null,
+      head_to_head: chain.length > 1 ? headToHead(chain, req.user.id) : null,
+      pending_rematch: pendingRematch(m) || null
     };
   }).sort((a, b) => new Date(b.completed_at || b.created_at) - new Date(a.completed_at || a.created_at));
   
   res.json(matches);
 });
 
-// Submit game result
-app.post('/api/matches/:id/submit-result', authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const { lichess_game_id, lichess_game_url } = req.body;
+// PGN archive: the game record is kept on the match when it is settled, so
+// disputes can be reviewed even if the Lichess game disappears
+
+// Adds DX tags to the top of a stored PGN. Series games are kept on the
+// match_games records and exported one after another.
+function matchPgn(match) {
+  const tags = [
+    `[DXMatch "${match.id}"]`,
+    `[DXStake "${match.stake_amount}"]`,
+    `[DXStatus "${match.status}"]`
+  ];
+  if (!match.series) {
+    return `${tags.join('\n')}\n${match.pgn.trim()}\n`;
+  }
+  
+  return seriesGames(match.id).filter(g => g.pgn)
+    .map(g => `${[...tags, `[DXGame "${g.number}"]`].join('\n')}\n${g.pgn.trim()}\n`)
+    .join('\n');
+}
+
+function hasGameRecord(match) {
+  return match.series ? seriesGames(match.id).some(g => g.pgn) : !!match.pgn;
+}
+
+function sendPgn(res, filename, body) {
+  res.set('Content-Type', 'application/x-chess-pgn; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+// All of a user's staked games; admins can pass ?user_id= for player review
+app.get('/api/matches/archive/pgn', authenticateToken, (req, res) => {
+  const userId = req.user.is_admin && req.query.user_id ? parseInt(req.query.user_id) : req.user.id;
+  
+  const matches = findAll('matches', m =>
+    (m.creator_id === userId || m.opponent_id === userId) && hasGameRecord(m)
+  ).sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+  
+  if (matches.length === 0) {
+    return res.status(404).json({ error: 'No stored games yet' });
+  }
+  
+  sendPgn(res, `dx-games-${userId}.pgn`, matches.map(matchPgn).join('\n'));
+});
+
+app.get('/api/matches/:id/pgn', authenticateToken, (req, res) => {
+  const match = findById('matches', parseInt(req.params.id));
   
-  if (!lichess_game_id) {
-    return res.status(400).json({ error: 'Lichess game ID required' });
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  
+  if (match.creator_id !== req.user.id && match.opponent_id !== req.user.id && !req.user.is_admin) {
+    return res.status(403).json({ error: 'Not authorized' });
   }
   
-  const match = findById(db.matches, parseInt(id));
+  if (!hasGameRecord(match)) {
+    return res.status(404).json({ error: 'No game record stored for this match' });
+  }
+  
+  sendPgn(res, `dx-match-${match.id}.pgn`, matchPgn(match));
+});
+
+// Submit game result
+app.post('/api/matches/:id/submit-result', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(matchLockKeys, async (req, res) => {
+  const { id } = req.params;
+  // lichess_game_id is the name older clients send
+  const gameId = req.body.game_id || req.body.lichess_game_id;
+  
+  const match = findById('matches', parseInt(id));
   
   if (!match) {
     return res.status(404).json({ error: 'Match not found' });
@@ -707,73 +2281,78 @@ app.post('/api/matches/:id/submit-result', authenticateToken, async (req, res) =
     return res.status(403).json({ error: 'Not authorized' });
   }
   
-  if (match.status !== 'in_progress') {
+  if (!['in_progress', 'result_pending'].includes(match.status)) {
     return res.status(400).json({ error: 'Match is not in progress' });
   }
   
-  // Verify game on Lichess
-  const gameData = await fetchLichessGame(lichess_game_id);
-  
-  if (!gameData) {
-    return res.status(400).json({ error: 'Could not verify game on Lichess' });
+  if (match.lichess_game_id && gameId && match.lichess_game_id !== gameId) {
+    return res.status(400).json({ error: `This match must be played in Lichess game ${match.lichess_game_id}` });
   }
   
-  // Determine winner
-  let winnerId = null;
-  let isDraw = gameData.winner === null;
+  // The server picks the deciding game; the submitted id is only used when
+  // the provider's game search missed it. Either way both accounts must be
+  // verified, so a game between unproven names never moves money.
+  const creator = findById('users', match.creator_id);
+  const opponent = findById('users', match.opponent_id);
+  if (!requireVerifiedAccounts(res, [creator, opponent], match.provider, req.user.id)) return;
   
-  if (!isDraw) {
-    const creator = findById(db.users, match.creator_id);
-    const opponent = findById(db.users, match.opponent_id);
-    const creatorLichess = (creator?.lichess_username || '').toLowerCase();
-    const opponentLichess = (opponent?.lichess_username || '').toLowerCase();
-    
-    const whitePlayer = (gameData.white?.username || '').toLowerCase();
-    const blackPlayer = (gameData.black?.username || '').toLowerCase();
-    
-    if (gameData.winner === 'white') {
-      if (whitePlayer === creatorLichess) {
-        winnerId = match.creator_id;
-      } else if (whitePlayer === opponentLichess) {
-        winnerId = match.opponent_id;
-      }
-    } else if (gameData.winner === 'black') {
-      if (blackPlayer === creatorLichess) {
-        winnerId = match.creator_id;
-      } else if (blackPlayer === opponentLichess) {
-        winnerId = match.opponent_id;
-      }
+  let game = await findMatchGame(match);
+  
+  if (!game) {
+    const provider = providers.get(match.provider);
+    if (!gameId) {
+      return res.status(400).json({ error: `No finished game found yet. Enter the ${provider.label} game ID to submit it manually.` });
+    }
+    
+    const terms = matchTerms(match);
+    game = await provider.getGame(gameId, terms);
+    
+    const { eligible, reasons } = checkEligibility(game, terms);
+    if (!eligible) {
+      return res.status(400).json({
+        error: `This game cannot settle the match: ${reasons.map(r => r.message).join('; ')}`,
+        reasons
+      });
     }
   }
   
-  // Set appeal deadline (5 minutes from now)
-  const appealDeadline = new Date(Date.now() + CONFIG.APPEAL_PERIOD_MINUTES * 60 * 1000);
+  const { isDraw, winnerId, appealDeadline, flagged, series } = recordMatchResult(match, game, 'manual');
   
-  update(db.matches, match.id, {
-    lichess_game_id,
-    lichess_game_url: lichess_game_url || `https://lichess.org/${lichess_game_id}`,
-    status: isDraw ? 'draw' : 'awaiting_appeal',
-    winner_id: winnerId,
-    appeal_deadline: appealDeadline.toISOString(),
-    completed_at: new Date().toISOString()
-  });
+  if (series && !series.decided) {
+    await startNextSeriesGame(match.id);
+    return res.json({
+      message: `Game ${series.game} recorded. Series score ${series.score.creator}-${series.score.opponent}; game ${series.next} is next.`,
+      game_id: game.id,
+      series
+    });
+  }
+  
+  let message = isDraw 
+    ? 'Game submitted. Result: Draw. Stakes will be refunded after appeal period.' 
+    : `Game submitted. Winner determined. You have ${CONFIG.APPEAL_PERIOD_MINUTES} minutes to appeal.`;
+  if (flagged) {
+    message = 'Game submitted. The result is held for a fair-play review before payout.';
+  }
+  if (series) {
+    message = message.replace('Game submitted.', `Game submitted. Series finished ${series.score.creator}-${series.score.opponent}.`);
+  }
   
   res.json({
-    message: isDraw 
-      ? 'Game submitted. Result: Draw. Stakes will be refunded after appeal period.' 
-      : `Game submitted. Winner determined. You have ${CONFIG.APPEAL_PERIOD_MINUTES} minutes to appeal.`,
+    message,
+    game_id: game.id,
     result: isDraw ? 'draw' : 'win',
     winner: winnerId ? (winnerId === match.creator_id ? 'creator' : 'opponent') : null,
-    appeal_deadline: appealDeadline.toISOString()
+    appeal_deadline: appealDeadline.toISOString(),
+    ...(series ? { series } : {})
   });
-});
+}));
 
 // Submit appeal
-app.post('/api/matches/:id/appeal', authenticateToken, (req, res) => {
+app.post('/api/matches/:id/appeal', authenticateToken, blockDuringMaintenance, lockedRoute(matchLockKeys, (req, res) => {
   const { id } = req.params;
   const { reason, evidence } = req.body;
   
-  const match = findById(db.matches, parseInt(id));
+  const match = findById('matches', parseInt(id));
   
   if (!match) {
     return res.status(404).json({ error: 'Match not found' });
@@ -792,43 +2371,51 @@ app.post('/api/matches/:id/appeal', authenticateToken, (req, res) => {
   }
   
   // Check if user already appealed
-  const existingAppeal = findOne(db.appeals, a => 
-    a.match_id === match.id && a.user_id === req.user.id
-  );
+  const existingAppeal = findOne('appeals', { match_id: match.id, user_id: req.user.id });
   
   if (existingAppeal) {
     return res.status(400).json({ error: 'You have already submitted an appeal' });
   }
   
-  insert(db.appeals, {
-    match_id: match.id,
-    user_id: req.user.id,
-    reason: reason || 'Disputed result',
-    evidence: evidence || null,
-    status: 'pending'
-  });
-  
-  update(db.matches, match.id, {
-    status: 'appealed'
+  transaction(() => {
+    insert('appeals', {
+      match_id: match.id,
+      user_id: req.user.id,
+      reason: reason || 'Disputed result',
+      evidence: evidence || null,
+      status: 'pending'
+    });
+    
+    update('matches', match.id, {
+      status: 'appealed'
+    });
   });
   
   res.json({ message: 'Appeal submitted. Admin will review.' });
-});
+}));
 
 // Process match disbursement (called by cron/admin)
-app.post('/api/matches/:id/process-disbursement', authenticateToken, (req, res) => {
+app.post('/api/matches/:id/process-disbursement', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(matchLockKeys, (req, res) => {
   const { id } = req.params;
   
-  const match = findById(db.matches, parseInt(id));
+  const match = findById('matches', parseInt(id));
   
   if (!match) {
     return res.status(404).json({ error: 'Match not found' });
   }
   
+  if (match.status === 'fair_play_review') {
+    return res.status(400).json({ error: 'Match is under fair-play review' });
+  }
+  
   if (!['awaiting_appeal', 'draw'].includes(match.status)) {
     return res.status(400).json({ error: 'Match is not ready for disbursement' });
   }
   
+  if (match.fair_play?.status === 'pending') {
+    return res.status(400).json({ error: 'Fair-play screening has not finished yet' });
+  }
+  
   // Check if appeal deadline has passed
   if (match.status === 'awaiting_appeal' && match.appeal_deadline) {
     if (new Date(match.appeal_deadline) > new Date()) {
@@ -836,93 +2423,280 @@ app.post('/api/matches/:id/process-disbursement', authenticateToken, (req, res)
     }
     
     // Check for pending appeals
-    const pendingAppeals = findAll(db.appeals, a => a.match_id === match.id && a.status === 'pending');
+    const pendingAppeals = findAll('appeals', { match_id: match.id, status: 'pending' });
     if (pendingAppeals.length > 0) {
       return res.status(400).json({ error: 'There are pending appeals for this match' });
     }
   }
   
-  const creator = findById(db.users, match.creator_id);
-  const opponent = findById(db.users, match.opponent_id);
-  
-  if (match.status === 'draw') {
-    // Refund both players
-    creator.wallet_balance += match.stake_amount;
-    creator.locked_balance -= match.stake_amount;
-    creator.matches_draw = (creator.matches_draw || 0) + 1;
+  transaction(() => {
+    const creator = findById('users', match.creator_id);
+    const opponent = findById('users', match.opponent_id);
     
-    opponent.wallet_balance += match.stake_amount;
-    opponent.locked_balance -= match.stake_amount;
-    opponent.matches_draw = (opponent.matches_draw || 0) + 1;
+    if (match.status === 'draw') {
+      // Refund both players
+      [creator, opponent].forEach(player => {
+        ledger.transfer(ACCOUNTS.escrow(player.id), ACCOUNTS.available(player.id), match.stake_amount, {
+          type: 'refund',
+          reference_id: `REF${match.id}`,
+          description: 'Draw - stake refunded'
+        });
+        
+        update('users', player.id, {
+          matches_draw: player.matches_draw + 1
+        });
+        
+        insert('transactions', {
+          user_id: player.id,
+          type: 'refund',
+          amount: match.stake_amount,
+          description: 'Draw - stake refunded',
+          reference_id: `REF${match.id}`
+        });
+      });
+    } else if (match.winner_id) {
+      // Pay winner
+      const winner = match.winner_id === creator.id ? creator : opponent;
+      const loser = winner.id === match.creator_id ? opponent : creator;
+      // The split is frozen on the match when it is created
+      const fee = match.dx_fee;
+      const payout = match.winner_payout;
+      
+      // Both escrows pay out in one posting: winner's pot plus the platform fee
+      ledger.post({
+        type: 'settlement',
+        reference_id: `WIN${match.id}`,
+        description: `Match ${match.id} settled`,
+        legs: [
+          { account: ACCOUNTS.escrow(winner.id), amount: -match.stake_amount },
+          { account: ACCOUNTS.escrow(loser.id), amount: -match.stake_amount },
+          { account: ACCOUNTS.available(winner.id), amount: payout },
+          { account: ACCOUNTS.PLATFORM_FEES, amount: fee }
+        ]
+      });
+      
+      update('users', winner.id, {
+        total_winnings: winner.total_winnings + payout,
+        matches_won: winner.matches_won + 1
+      });
+      
+      update('users', loser.id, {
+        matches_lost: loser.matches_lost + 1,
+        total_staked: loser.total_staked + match.stake_amount
+      });
+      
+      // Record transactions
+      insert('transactions', {
+        user_id: winner.id,
+        type: 'winning',
+        amount: payout,
+        description: `Match winnings (minus ₦${fee} fee)`,
+        reference_id: `WIN${match.id}`
+      });
+      
+      insert('transactions', {
+        user_id: loser.id,
+        type: 'stake_loss',
+        amount: match.stake_amount,
+        description: 'Match lost - stake paid out',
+        reference_id: `LOSS${match.id}`
+      });
+      
+      // Platform fee
+      insert('transactions', {
+        user_id: 0,
+        type: 'platform_fee',
+        amount: fee,
+        description: 'DX Platform fee',
+        reference_id: `FEE${match.id}`
+      });
+    }
     
-    // Record transactions
-    insert(db.transactions, {
-      user_id: creator.id,
-      type: 'refund',
-      amount: match.stake_amount,
-      description: 'Draw - stake refunded',
-      reference_id: `REF${match.id}`
+    update('matches', match.id, {
+      status: 'disbursed',
+      payout_amount: match.winner_id ? match.winner_payout : 0,
+      disbursed_at: new Date().toISOString()
+    }, { expectedVersion: match.version });
+  });
+  
+  res.json({ message: 'Disbursement processed successfully' });
+}));
+
+// Rematches of a match and the matches they led to share a chain, keyed by
+// the first match's id, so a head-to-head run can be shown together
+function rematchChain(match) {
+  const chainId = match.rematch_chain_id || match.id;
+  return findAll('matches', m => m.id === chainId || m.rematch_chain_id === chainId)
+    .sort((a, b) => a.id - b.id);
+}
+
+// Tally of a rematch chain's settled matches from one player's side
+function headToHead(chain, userId) {
+  return chain.filter(m => m.status === 'disbursed').reduce((tally, m) => {
+    tally.matches += 1;
+    if (!m.winner_id) tally.drawn += 1;
+    else if (m.winner_id === userId) tally.won += 1;
+    else tally.lost += 1;
+    return tally;
+  }, { matches: 0, won: 0, lost: 0, drawn: 0 });
+}
+
+// The open rematch offer for a match, if either player has made one
+function pendingRematch(match) {
+  return findOne('challenges', { status: 'pending', rematch_of: match.id }, c =>
+    new Date(c.expires_at) > new Date()
+  );
+}
+
+// Offer the other player a rematch of a settled match: a new challenge with
+// the same terms and the colors swapped. They accept it like any challenge.
+app.post('/api/matches/:id/rematch', authenticateToken, blockDuringMaintenance, idempotent, lockedRoute(matchLockKeys, async (req, res) => {
+  const match = findById('matches', parseInt(req.params.id));
+
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+
+  if (match.creator_id !== req.user.id && match.opponent_id !== req.user.id) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  // Won and drawn matches both end disbursed
+  if (match.status !== 'disbursed') {
+    return res.status(400).json({ error: 'A rematch can be offered once the match is paid out' });
+  }
+
+  const existing = pendingRematch(match);
+  if (existing) {
+    return res.status(400).json({
+      error: existing.creator_id === req.user.id
+        ? 'You have already offered a rematch'
+        : `${existing.creator_username} has already offered a rematch. Accept it from your challenges.`,
+      challenge_code: existing.challenge_code
     });
-    
-    insert(db.transactions, {
-      user_id: opponent.id,
-      type: 'refund',
-      amount: match.stake_amount,
-      description: 'Draw - stake refunded',
-      reference_id: `REF${match.id}`
+  }
+
+  if (findOne('challenges', { status: 'accepted', rematch_of: match.id })) {
+    return res.status(400).json({ error: 'This match has already been rematched' });
+  }
+
+  const user = findById('users', req.user.id);
+  const opponent = findById('users', match.creator_id === user.id ? match.opponent_id : match.creator_id);
+  const site = providers.get(match.provider);
+
+  if (!requireVerifiedAccounts(res, [user, opponent], site.name, user.id)) return;
+
+  if (user.wallet_balance < match.stake_amount) {
+    return res.status(400).json({ error: 'Insufficient wallet balance' });
+  }
+
+  const trustFlags = await checkChallengeTrust(res, [user, opponent], {
+    provider: site.name,
+    timeControl: match.time_control,
+    variant: match.variant || 'standard'
+  }, `rematch from ${user.username} to ${opponent.username}`);
+  if (!trustFlags) return;
+
+  // The side this player had last time, swapped; unknown if the game was
+  // found on the provider after a random draw
+  let color = 'random';
+  if (match.creator_color) {
+    const lastColor = match.creator_id === user.id ? match.creator_color : otherColor(match.creator_color);
+    color = otherColor(lastColor);
+  }
+
+  const expiryMinutes = challengeExpiryMinutes();
+  // Same split as the match being rematched
+  const totalPot = match.stake_amount * 2;
+  const fee = match.dx_fee;
+  const winnerPayout = match.winner_payout;
+
+  const challenge = transaction(() => {
+    const challenge = insert('challenges', {
+      challenge_code: generateChallengeCode(),
+      creator_id: user.id,
+      creator_username: user.username,
+      creator_account: site.account(user).username,
+      opponent_id: opponent.id,
+      opponent_username: opponent.username,
+      opponent_account: site.account(opponent).username,
+      is_open: 0,
+      provider: site.name,
+      stake_amount: match.stake_amount,
+      time_control: match.time_control,
+      is_rated: match.is_rated,
+      variant: match.variant || 'standard',
+      color,
+      series: match.series || null,
+      status: 'pending',
+      expiry_minutes: expiryMinutes,
+      expires_at: new Date(Date.now() + expiryMinutes * 60 * 1000).toISOString(),
+      total_pot: totalPot,
+      dx_fee: fee,
+      winner_payout: winnerPayout,
+      stake_held: 1,
+      trust_flags: trustFlags,
+      rematch_of: match.id,
+      rematch_chain_id: match.rematch_chain_id || match.id
     });
-  } else if (match.winner_id) {
-    // Pay winner
-    const winner = findById(db.users, match.winner_id);
-    const loser = winner.id === match.creator_id ? opponent : creator;
-    
-    winner.wallet_balance += match.winner_payout || match.payout_amount;
-    winner.locked_balance -= match.stake_amount;
-    winner.total_winnings = (winner.total_winnings || 0) + (match.winner_payout || match.payout_amount);
-    winner.matches_won = (winner.matches_won || 0) + 1;
-    
-    loser.locked_balance -= match.stake_amount;
-    loser.matches_lost = (loser.matches_lost || 0) + 1;
-    loser.total_staked = (loser.total_staked || 0) + match.stake_amount;
-    
-    // Record transactions
-    insert(db.transactions, {
-      user_id: winner.id,
-      type: 'winning',
-      amount: match.winner_payout || match.payout_amount,
-      description: `Match winnings (minus ₦${match.dx_fee} fee)`,
-      reference_id: `WIN${match.id}`
+
+    ledger.transfer(ACCOUNTS.available(user.id), ACCOUNTS.held(user.id), match.stake_amount, {
+      type: 'stake_hold',
+      reference_id: `HLD${challenge.id}`,
+      description: `Stake reserved for challenge ${challenge.challenge_code}`
     });
-    
-    // Platform fee
-    insert(db.transactions, {
-      user_id: 0,
-      type: 'platform_fee',
-      amount: match.dx_fee,
-      description: 'DX Platform fee',
-      reference_id: `FEE${match.id}`
+
+    insert('transactions', {
+      user_id: user.id,
+      type: 'hold',
+      amount: match.stake_amount,
+      description: `Stake reserved for rematch with ${opponent.username}`,
+      reference_id: `HLD${challenge.id}`
+    });
+
+    notify(opponent.id, 'rematch', `${user.username} wants a rematch: ₦${match.stake_amount} ${match.time_control}. Accept it from your challenges.`, {
+      challenge_code: challenge.challenge_code,
+      match_id: match.id
     });
+
+    return challenge;
+  });
+
+  res.status(201).json({
+    message: `Rematch offered to ${opponent.username}`,
+    challenge
+  });
+}));
+
+// Every match in this match's rematch chain, with the head-to-head score
+app.get('/api/matches/:id/rematches', authenticateToken, (req, res) => {
+  const match = findById('matches', parseInt(req.params.id));
+
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
   }
-  
-  update(db.matches, match.id, {
-    status: 'disbursed',
-    disbursed_at: new Date().toISOString()
+
+  if (match.creator_id !== req.user.id && match.opponent_id !== req.user.id && !req.user.is_admin) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  const chain = rematchChain(match);
+  res.json({
+    chain_id: match.rematch_chain_id || match.id,
+    head_to_head: headToHead(chain, req.user.id),
+    matches: chain.map(m => ({ ...m, pgn: undefined }))
   });
-  
-  saveDatabase();
-  
-  res.json({ message: 'Disbursement processed successfully' });
 });
 
 // ================== ADMIN ROUTES ==================
 
 app.get('/api/admin/stats', authenticateToken, requireAdmin, (req, res) => {
-  const totalUsers = db.users.length;
-  const pendingChallenges = db.challenges.filter(c => c.status === 'pending').length;
-  const activeMatches = db.matches.filter(m => m.status === 'in_progress').length;
-  const awaitingAppeal = db.matches.filter(m => m.status === 'awaiting_appeal').length;
-  const platformFees = db.transactions
-    .filter(t => t.type === 'platform_fee')
+  const totalUsers = findAll('users').length;
+  const pendingChallenges = findAll('challenges', { status: 'pending' }, c => new Date(c.expires_at) > new Date()).length;
+  const activeMatches = findAll('matches', { status: 'in_progress' }).length;
+  const awaitingAppeal = findAll('matches', { status: 'awaiting_appeal' }).length;
+  const fairPlayReview = findAll('matches', { status: 'fair_play_review' }).length;
+  const platformFees = findAll('transactions', t => t.type === 'platform_fee')
     .reduce((sum, t) => sum + (t.amount || 0), 0);
   
   res.json({
@@ -930,12 +2704,40 @@ app.get('/api/admin/stats', authenticateToken, requireAdmin, (req, res) => {
     pending_challenges: pendingChallenges,
     active_matches: activeMatches,
     awaiting_appeal: awaitingAppeal,
+    fair_play_review: fairPlayReview,
     platform_fees_collected: platformFees
   });
 });
 
+// Ledger postings, optionally filtered to one account (e.g. user:12:escrow)
+app.get('/api/admin/ledger', authenticateToken, requireAdmin, (req, res) => {
+  const { account } = req.query;
+  
+  const postings = ledger.postings(account)
+    .sort((a, b) => b.id - a.id)
+    .slice(0, 200);
+  const balances = ledger.balances();
+  
+  res.json({
+    account: account || null,
+    balance: account ? balances.get(account) || 0 : null,
+    platform_fees: balances.get(ACCOUNTS.PLATFORM_FEES) || 0,
+    gateway: balances.get(ACCOUNTS.GATEWAY) || 0,
+    postings
+  });
+});
+
+app.get('/api/admin/reconciliation', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    res.json(reconcile(store, ledger));
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(500).json({ error: 'Reconciliation failed' });
+  }
+});
+
 app.get('/api/admin/challenges', authenticateToken, requireAdmin, (req, res) => {
-  const challenges = db.challenges.map(c => ({
+  const challenges = findAll('challenges').map(c => ({
     ...c,
     expires_in_minutes: Math.max(0, Math.ceil((new Date(c.expires_at) - new Date()) / 60000))
   })).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
@@ -943,9 +2745,9 @@ app.get('/api/admin/challenges', authenticateToken, requireAdmin, (req, res) =>
 });
 
 app.get('/api/admin/appeals', authenticateToken, requireAdmin, (req, res) => {
-  const appeals = db.appeals.map(a => {
-    const match = findById(db.matches, a.match_id);
-    const user = findById(db.users, a.user_id);
+  const appeals = findAll('appeals').map(a => {
+    const match = findById('matches', a.match_id);
+    const user = findById('users', a.user_id);
     return {
       ...a,
       match,
@@ -955,37 +2757,222 @@ app.get('/api/admin/appeals', authenticateToken, requireAdmin, (req, res) => {
   res.json(appeals);
 });
 
-app.post('/api/admin/appeals/:id/resolve', authenticateToken, requireAdmin, (req, res) => {
+app.post('/api/admin/appeals/:id/resolve', authenticateToken, requireAdmin, blockDuringMaintenance, lockedRoute(req => {
+  const appeal = findById('appeals', parseInt(req.params.id));
+  return [`appeal:${req.params.id}`, appeal && `match:${appeal.match_id}`];
+}, (req, res) => {
   const { id } = req.params;
   const { decision } = req.body;
   
-  const appeal = findById(db.appeals, parseInt(id));
+  const appeal = findById('appeals', parseInt(id));
   
   if (!appeal) {
     return res.status(404).json({ error: 'Appeal not found' });
   }
   
-  update(db.appeals, appeal.id, {
-    status: decision === 'upheld' ? 'upheld' : 'rejected',
-    resolved_at: new Date().toISOString(),
-    resolved_by: req.user.id
+  transaction(() => {
+    update('appeals', appeal.id, {
+      status: decision === 'upheld' ? 'upheld' : 'rejected',
+      resolved_at: new Date().toISOString(),
+      resolved_by: req.user.id
+    });
+    
+    // If upheld, need admin intervention
+    if (decision === 'upheld') {
+      update('matches', appeal.match_id, {
+        status: 'disputed',
+        admin_review: 1
+      });
+    }
+  });
+  
+  res.json({ message: 'Appeal resolved' });
+}));
+
+// Matches held back by fair-play screening
+app.get('/api/admin/fair-play', authenticateToken, requireAdmin, (req, res) => {
+  const matches = findAll('matches', { status: 'fair_play_review' }).map(m => ({
+    ...m,
+    pgn: undefined,
+    creator_username: findById('users', m.creator_id)?.username,
+    opponent_username: findById('users', m.opponent_id)?.username,
+    winner_username: findById('users', m.winner_id)?.username
+  })).sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+  res.json(matches);
+});
+
+// clear: the result stands and the winner can be paid
+// void:  the game is treated as a draw and both stakes are refunded
+app.post('/api/admin/fair-play/:id/resolve', authenticateToken, requireAdmin, blockDuringMaintenance, lockedRoute(matchLockKeys, (req, res) => {
+  const { decision, note } = req.body;
+  
+  if (!['clear', 'void'].includes(decision)) {
+    return res.status(400).json({ error: 'Decision must be clear or void' });
+  }
+  
+  const match = findById('matches', parseInt(req.params.id));
+  
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  
+  if (match.status !== 'fair_play_review') {
+    return res.status(400).json({ error: 'Match is not under fair-play review' });
+  }
+  
+  const review = {
+    ...match.fair_play,
+    status: decision === 'clear' ? 'cleared' : 'voided',
+    reviewed_by: req.user.id,
+    reviewed_at: new Date().toISOString(),
+    note: note || null
+  };
+  
+  transaction(() => {
+    update('matches', match.id, decision === 'clear'
+      ? { status: 'awaiting_appeal', fair_play: review, admin_review: 0, appeal_deadline: new Date(Date.now() + CONFIG.APPEAL_PERIOD_MINUTES * 60 * 1000).toISOString() }
+      : { status: 'draw', winner_id: null, fair_play: review, admin_review: 0 });
+    
+    insert('admin_logs', {
+      type: 'fair_play',
+      admin_id: req.user.id,
+      message: `Match ${match.id} ${decision === 'clear' ? 'cleared' : 'voided'} after fair-play review`,
+      details: { note: note || null, reasons: match.fair_play?.reasons || [] }
+    });
   });
   
-  // If upheld, need admin intervention
-  if (decision === 'upheld') {
-    update(db.matches, appeal.match_id, {
-      status: 'disputed',
-      admin_review: 1
+  res.json({ message: decision === 'clear' ? 'Result confirmed' : 'Result voided; stakes will be refunded' });
+}));
+
+app.get('/api/admin/lichess', authenticateToken, requireAdmin, (req, res) => {
+  res.json({ ...lichess.metrics(), streams: gameStreams.following() });
+});
+
+app.get('/api/admin/maintenance', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    enabled: maintenance.enabled,
+    reason: maintenance.reason,
+    since: maintenance.since,
+    in_flight: maintenance.inFlight
+  });
+});
+
+app.post('/api/admin/maintenance', authenticateToken, requireAdmin, (req, res) => {
+  const { enabled, reason } = req.body;
+  
+  setMaintenance(!!enabled, reason || 'Scheduled maintenance');
+  insert('admin_logs', {
+    type: 'maintenance',
+    admin_id: req.user.id,
+    message: enabled ? `Maintenance enabled: ${maintenance.reason}` : 'Maintenance disabled'
+  });
+  
+  res.json({ message: enabled ? 'Maintenance mode enabled' : 'Maintenance mode disabled', enabled: maintenance.enabled });
+});
+
+app.get('/api/admin/settings/challenge-expiry', authenticateToken, requireAdmin, (req, res) => {
+  res.json(challengeExpiryLimits());
+});
+
+// Limits on how long players can keep a challenge open, in minutes
+app.post('/api/admin/settings/challenge-expiry', authenticateToken, requireAdmin, (req, res) => {
+  const limits = { ...challengeExpiryLimits(), ...req.body };
+  const { min_minutes, max_minutes, default_minutes } = limits;
+  
+  if (![min_minutes, max_minutes, default_minutes].every(Number.isInteger) || min_minutes < 1) {
+    return res.status(400).json({ error: 'Limits must be whole numbers of minutes, at least 1' });
+  }
+  
+  if (!(min_minutes <= default_minutes && default_minutes <= max_minutes)) {
+    return res.status(400).json({ error: 'The default must lie between the minimum and the maximum' });
+  }
+  
+  const saved = findOne('settings', { key: 'challenge_expiry' });
+  const fields = { min_minutes, max_minutes, default_minutes, updated_by: req.user.id };
+  transaction(() => {
+    if (saved) {
+      update('settings', saved.id, fields);
+    } else {
+      insert('settings', { key: 'challenge_expiry', ...fields });
+    }
+    insert('admin_logs', {
+      type: 'settings',
+      admin_id: req.user.id,
+      message: `Challenge expiry limits set to ${min_minutes}-${max_minutes} minutes, default ${default_minutes}`
     });
+  });
+  
+  res.json({ message: 'Challenge expiry limits updated', ...challengeExpiryLimits() });
+});
+
+app.get('/api/admin/backups', authenticateToken, requireAdmin, (req, res) => {
+  res.json({ directory: CONFIG.BACKUP_DIR, keep: CONFIG.BACKUP_KEEP, snapshots: backups.list() });
+});
+
+app.post('/api/admin/backups', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const snapshot = backups.snapshot('manual');
+    res.status(201).json({ message: 'Snapshot created', snapshot });
+  } catch (error) {
+    console.error('Snapshot error:', error);
+    res.status(500).json({ error: 'Failed to create snapshot' });
   }
+});
+
+// Restore: validate first, then enter maintenance, drain in-flight money
+// requests and background jobs, close the game streams, swap the data in and
+// migrate it to the current schema. Streams reopen from the data we end with.
+app.post('/api/admin/backups/:name/restore', authenticateToken, requireAdmin, async (req, res) => {
+  const { name } = req.params;
   
-  res.json({ message: 'Appeal resolved' });
+  try {
+    backups.validate(name);
+  } catch (error) {
+    if (error instanceof SnapshotError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Snapshot validation error:', error);
+    return res.status(500).json({ error: 'Failed to validate snapshot' });
+  }
+  
+  const wasEnabled = maintenance.enabled;
+  setMaintenance(true, `Restoring ${name}`);
+  
+  try {
+    if (!await waitForIdle(CONFIG.MAINTENANCE_DRAIN_TIMEOUT_MS)) {
+      return res.status(503).json({ error: 'Requests are still running, restore aborted. Try again.' });
+    }
+    
+    // Live updates would land in the data being replaced
+    gameStreams.following().forEach(({ game_id }) => gameStreams.stop(game_id));
+    
+    const result = backups.restore(name);
+    const migrated = runMigrations(store);
+    
+    insert('admin_logs', {
+      type: 'restore',
+      admin_id: req.user.id,
+      message: `Restored ${name}`,
+      details: { ...result, migrated_to: migrated.to_version }
+    });
+    
+    res.json({ message: 'Snapshot restored', ...result, schema_version: migrated.to_version });
+  } catch (error) {
+    console.error('Restore error:', error);
+    res.status(500).json({ error: 'Restore failed' });
+  } finally {
+    if (!wasEnabled) setMaintenance(false);
+    resumeLiveTracking();
+  }
 });
 
 // ================== PUBLIC ROUTES ==================
 
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: maintenance.enabled ? 'maintenance' : 'ok',
+    timestamp: new Date().toISOString()
+  });
 });
 
 app.get('*', (req, res) => {
@@ -994,7 +2981,28 @@ app.get('*', (req, res) => {
 
 // ================== START ==================
 
-loadDatabase();
+// Bring old data up to the current schema before serving anything
+const migration = runMigrations(store);
+if (migration.applied.length > 0) {
+  console.log(`Migrated schema ${migration.from_version} -> ${migration.to_version}`);
+}
+
+// Resume live tracking interrupted by a restart
+resumeLiveTracking();
+
+setInterval(expireStaleChallenges, CONFIG.CHALLENGE_SWEEP_INTERVAL_SECONDS * 1000);
+setInterval(runMatchmaking, CONFIG.MATCHMAKING_INTERVAL_SECONDS * 1000);
+setInterval(watchInProgressMatches, CONFIG.GAME_WATCH_INTERVAL_SECONDS * 1000);
+setInterval(screenPendingGames, 60 * 1000);
+setInterval(() => {
+  if (maintenance.enabled) return;
+  try {
+    backups.snapshot();
+  } catch (error) {
+    console.error('Scheduled snapshot failed:', error);
+  }
+}, CONFIG.BACKUP_INTERVAL_MINUTES * 60 * 1000);
+setInterval(runReconciliation, CONFIG.RECONCILE_INTERVAL_MINUTES * 60 * 1000);
 
 app.listen(PORT, () => {
   console.log(`
@@ -0,0 +1,102 @@
+// Parallel requests against the same wallet or challenge must never move
+// money twice; whatever they do, the ledger still reconciles afterwards
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeLichess, startApp, registerUser, linkLichess } = require('./helpers');
+
+let lichess;
+let app;
+
+before(async () => {
+  lichess = await startFakeLichess();
+  app = await startApp({ lichess });
+});
+
+after(async () => {
+  await app.stop();
+  await lichess.close();
+});
+
+async function player(username, deposit) {
+  const token = await registerUser(app.call, username, { deposit });
+  await linkLichess(app.call, token, `${username}_L`);
+  return token;
+}
+
+async function balance(token) {
+  return (await app.call('GET', '/wallet/balance', token)).body;
+}
+
+async function assertReconciled() {
+  const { body } = await app.call('GET', '/admin/reconciliation', app.admin);
+  assert.deepStrictEqual(body.discrepancies, []);
+}
+
+test('parallel withdrawals never overdraw the wallet', async () => {
+  const token = await registerUser(app.call, 'withdrawer', { deposit: 2000 });
+
+  const responses = await Promise.all(Array.from({ length: 12 }, () =>
+    app.call('POST', '/wallet/withdraw', token, { amount: 600 })
+  ));
+
+  const accepted = responses.filter(r => r.status === 200);
+  assert.strictEqual(accepted.length, 3);
+  responses.filter(r => r.status !== 200).forEach(r => {
+    assert.strictEqual(r.status, 400);
+    assert.strictEqual(r.body.error, 'Insufficient balance');
+  });
+
+  assert.strictEqual((await balance(token)).available, 200);
+  await assertReconciled();
+});
+
+test('an open challenge is accepted by exactly one of many players', async () => {
+  const creator = await player('opener', 5000);
+  const takers = await Promise.all(['taker1', 'taker2', 'taker3', 'taker4', 'taker5'].map(name => player(name, 5000)));
+
+  const sent = await app.call('POST', '/challenges/send', creator, { stake_amount: 1000, time_control: '3+2' });
+  assert.strictEqual(sent.status, 201, JSON.stringify(sent.body));
+  const code = sent.body.challenge.challenge_code;
+
+  const responses = await Promise.all(takers.map(token => app.call('POST', `/challenges/${code}/accept`, token)));
+
+  assert.strictEqual(responses.filter(r => r.status === 200).length, 1);
+  responses.filter(r => r.status !== 200).forEach(r => assert.strictEqual(r.status, 404));
+
+  const creatorBalance = await balance(creator);
+  assert.strictEqual(creatorBalance.locked, 1000);
+  assert.strictEqual(creatorBalance.reserved, 0);
+
+  const locked = await Promise.all(takers.map(async token => (await balance(token)).locked));
+  assert.deepStrictEqual(locked.sort(), [0, 0, 0, 0, 1000]);
+  await assertReconciled();
+});
+
+test('one player accepting several challenges at once cannot stake more than they have', async () => {
+  const acceptor = await player('stretched', 1500);
+  const creators = await Promise.all(['sender1', 'sender2', 'sender3'].map(name => player(name, 5000)));
+
+  const codes = [];
+  for (const token of creators) {
+    const sent = await app.call('POST', '/challenges/send', token, {
+      opponent_username: 'stretched',
+      stake_amount: 1000,
+      time_control: '3+2'
+    });
+    assert.strictEqual(sent.status, 201, JSON.stringify(sent.body));
+    codes.push(sent.body.challenge.challenge_code);
+  }
+
+  const responses = await Promise.all(codes.map(code => app.call('POST', `/challenges/${code}/accept`, acceptor)));
+
+  assert.strictEqual(responses.filter(r => r.status === 200).length, 1);
+  responses.filter(r => r.status !== 200).forEach(r => {
+    assert.strictEqual(r.body.error, 'Insufficient balance to accept challenge');
+  });
+
+  const left = await balance(acceptor);
+  assert.strictEqual(left.available, 500);
+  assert.strictEqual(left.locked, 1000);
+  await assertReconciled();
+});
@@ -0,0 +1,85 @@
+// Whether a recorded Lichess game can settle a match, and with what result
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkEligibility, gameOutcome } = require('../lib/lichess/eligibility');
+const { readJsonFixture } = require('./helpers');
+
+const game = (fields = {}) => ({ ...readJsonFixture('lichess/game-analysed.json'), ...fields });
+
+const terms = {
+  players: ['AliceDX', 'BobDX'],
+  timeControl: '3+2',
+  rated: false,
+  creatorColor: 'white',
+  startedAt: new Date(1715709000000).toISOString()
+};
+
+const codes = result => result.reasons.map(r => r.code);
+
+test('a game matching every term is eligible', () => {
+  assert.deepStrictEqual(checkEligibility(game(), terms), { eligible: true, result: 'white', reasons: [] });
+});
+
+test('player names are compared case-insensitively', () => {
+  assert.strictEqual(checkEligibility(game(), { ...terms, players: ['alicedx', 'BOBDX'] }).eligible, true);
+});
+
+test('each broken term is reported', () => {
+  const result = checkEligibility(game({ rated: true, variant: 'chess960', clock: { initial: 300, increment: 0 } }), {
+    ...terms,
+    players: ['AliceDX', 'CarolDX']
+  });
+
+  assert.strictEqual(result.eligible, false);
+  assert.deepStrictEqual(codes(result), ['wrong_players', 'time_control_mismatch', 'rated_mismatch', 'variant_mismatch']);
+});
+
+test('the creator must have played the agreed color', () => {
+  assert.deepStrictEqual(codes(checkEligibility(game(), { ...terms, creatorColor: 'black' })), ['color_mismatch']);
+});
+
+test('anonymous and clockless games do not count', () => {
+  const anonymous = game();
+  anonymous.players = { ...anonymous.players, black: { aiLevel: 3 } };
+
+  assert.deepStrictEqual(codes(checkEligibility(anonymous, terms)), ['anonymous_player']);
+  assert.deepStrictEqual(codes(checkEligibility(game({ clock: undefined }), terms)), ['no_clock']);
+});
+
+test('games from before the match or already used elsewhere are refused', () => {
+  const late = { ...terms, startedAt: new Date(1715709731001).toISOString() };
+  assert.deepStrictEqual(codes(checkEligibility(game(), late)), ['played_before_match']);
+
+  const used = { ...terms, usedGameIds: ['q7ZvsdUF'] };
+  assert.deepStrictEqual(codes(checkEligibility(game(), used)), ['game_already_used']);
+});
+
+test('every Lichess status settles as expected', () => {
+  const outcomes = {
+    mate: 'white',
+    resign: 'white',
+    outoftime: 'white',
+    timeout: 'white',
+    cheat: 'white',
+    stalemate: 'draw',
+    draw: 'draw'
+  };
+  Object.entries(outcomes).forEach(([status, result]) => {
+    const winner = result === 'draw' ? undefined : 'white';
+    assert.deepStrictEqual(gameOutcome(game({ status, winner })), { result }, status);
+  });
+
+  assert.strictEqual(gameOutcome(game({ status: 'aborted', winner: undefined })).reason.code, 'not_played');
+  assert.strictEqual(gameOutcome(game({ status: 'noStart', winner: undefined })).reason.code, 'not_played');
+  assert.strictEqual(gameOutcome(game({ status: 'started', winner: undefined })).reason.code, 'not_finished');
+  assert.strictEqual(gameOutcome(game({ status: 'bogus' })).reason.code, 'unknown_status');
+});
+
+test('a flag fall without a winner is a draw, a resignation without one is refused', () => {
+  assert.deepStrictEqual(gameOutcome(game({ status: 'outoftime', winner: undefined })), { result: 'draw' });
+
+  const result = checkEligibility(game({ status: 'resign', winner: undefined }), terms);
+  assert.strictEqual(result.eligible, false);
+  assert.deepStrictEqual(codes(result), ['missing_winner']);
+});
@@ -0,0 +1,158 @@
+// Fair-play verdicts from recorded Lichess exports, and what a verdict does
+// to settlement: flagged results are held until an admin clears or voids them
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createFairPlay } = require('../lib/fairplay');
+const {
+  readJsonFixture,
+  startFakeLichess,
+  startApp,
+  readRecord,
+  registerUser,
+  linkLichess
+} = require('./helpers');
+
+describe('screenGame', () => {
+  const fairPlay = createFairPlay({ maxAccuracy: 97, minAcpl: 10, minMoves: 20 });
+
+  test('clears a game whose Lichess analysis looks human', () => {
+    const verdict = fairPlay.screenGame(readJsonFixture('lichess/game-analysed.json'));
+
+    assert.strictEqual(verdict.status, 'clear');
+    assert.strictEqual(verdict.source, 'lichess');
+    assert.deepStrictEqual(verdict.reasons, []);
+    assert.deepStrictEqual(verdict.players.white, { accuracy: 79, acpl: 41, moves: 23 });
+    assert.deepStrictEqual(verdict.players.black, { accuracy: 58, acpl: 118, moves: 22 });
+  });
+
+  test('flags a side that is too accurate', () => {
+    const verdict = fairPlay.screenGame(readJsonFixture('lichess/game-engine.json'));
+
+    assert.strictEqual(verdict.status, 'flagged');
+    assert.deepStrictEqual(verdict.reasons, [
+      'white accuracy 98% is at or above 97%',
+      'white average centipawn loss 6 is at or below 10'
+    ]);
+  });
+
+  test('does not judge sides with too few moves', () => {
+    const game = readJsonFixture('lichess/game-engine.json');
+    game.moves = game.moves.split(' ').slice(0, 30).join(' ');
+
+    const verdict = fairPlay.screenGame(game);
+
+    assert.strictEqual(verdict.status, 'clear');
+    assert.strictEqual(verdict.players.white.moves, 15);
+  });
+
+  test('waits for Stockfish when Lichess has no analysis', () => {
+    const game = readJsonFixture('lichess/game-unanalysed.json');
+
+    assert.strictEqual(fairPlay.screenGame(game).status, 'unavailable');
+
+    const withEngine = createFairPlay({ stockfishPath: '/usr/bin/stockfish' });
+    const verdict = withEngine.screenGame(game);
+    assert.strictEqual(verdict.status, 'pending');
+    assert.strictEqual(verdict.screened_at, null);
+
+    // The local engine only plays standard chess
+    assert.strictEqual(withEngine.screenGame({ ...game, variant: 'chess960' }).status, 'unavailable');
+  });
+});
+
+describe('settlement with fair-play screening', () => {
+  let lichess;
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    lichess = await startFakeLichess();
+    app = await startApp({ lichess });
+    alice = await registerUser(app.call, 'alice', { deposit: 10000 });
+    bob = await registerUser(app.call, 'bob', { deposit: 10000 });
+    await linkLichess(app.call, alice, 'AliceDX');
+    await linkLichess(app.call, bob, 'BobDX');
+  });
+
+  after(async () => {
+    await app.stop();
+    await lichess.close();
+  });
+
+  // A running match between alice (white) and bob, settled by the fixture game
+  async function settleWith(fixture, fields = {}) {
+    const sent = await app.call('POST', '/challenges/send', alice, {
+      opponent_username: 'bob',
+      stake_amount: 1000,
+      time_control: '3+2',
+      color: 'white'
+    });
+    assert.strictEqual(sent.status, 201, JSON.stringify(sent.body));
+    const accepted = await app.call('POST', `/challenges/${sent.body.challenge.challenge_code}/accept`, bob);
+    assert.strictEqual(accepted.status, 200, JSON.stringify(accepted.body));
+
+    lichess.state.games = [{ ...readJsonFixture(fixture), createdAt: Date.now() + 1000, ...fields }];
+    const submitted = await app.call('POST', `/matches/${accepted.body.match.id}/submit-result`, bob, {});
+    assert.strictEqual(submitted.status, 200, JSON.stringify(submitted.body));
+    return { matchId: accepted.body.match.id, submitted };
+  }
+
+  test('a clean game goes straight to the appeal period', async () => {
+    const { matchId } = await settleWith('lichess/game-analysed.json');
+    const match = readRecord(app, 'matches', matchId);
+
+    assert.strictEqual(match.status, 'awaiting_appeal');
+    assert.strictEqual(match.fair_play.status, 'clear');
+    assert.ok(match.winner_id);
+  });
+
+  test('a flagged game is held until an admin clears it', async () => {
+    const { matchId, submitted } = await settleWith('lichess/game-engine.json');
+    assert.match(submitted.body.message, /held for a fair-play review/);
+
+    let match = readRecord(app, 'matches', matchId);
+    assert.strictEqual(match.status, 'fair_play_review');
+    assert.strictEqual(match.fair_play.status, 'flagged');
+
+    const paid = await app.call('POST', `/matches/${matchId}/process-disbursement`, alice);
+    assert.strictEqual(paid.status, 400);
+    assert.strictEqual(paid.body.error, 'Match is under fair-play review');
+
+    const queue = await app.call('GET', '/admin/fair-play', app.admin);
+    assert.ok(queue.body.some(m => m.id === matchId));
+
+    const cleared = await app.call('POST', `/admin/fair-play/${matchId}/resolve`, app.admin, { decision: 'clear' });
+    assert.strictEqual(cleared.status, 200, JSON.stringify(cleared.body));
+
+    match = readRecord(app, 'matches', matchId);
+    assert.strictEqual(match.status, 'awaiting_appeal');
+    assert.strictEqual(match.fair_play.status, 'cleared');
+    assert.ok(match.appeal_deadline);
+  });
+
+  test('a voided game refunds both stakes', async () => {
+    const start = (await app.call('GET', '/wallet/balance', bob)).body;
+    // A game settles one match only, so this one needs its own id
+    const { matchId } = await settleWith('lichess/game-engine.json', { id: 'Vd3nRq7T' });
+
+    const voided = await app.call('POST', `/admin/fair-play/${matchId}/resolve`, app.admin, { decision: 'void', note: 'engine use' });
+    assert.strictEqual(voided.status, 200, JSON.stringify(voided.body));
+
+    const match = readRecord(app, 'matches', matchId);
+    assert.strictEqual(match.status, 'draw');
+    assert.strictEqual(match.winner_id, null);
+    assert.strictEqual(match.fair_play.status, 'voided');
+
+    const again = await app.call('POST', `/admin/fair-play/${matchId}/resolve`, app.admin, { decision: 'clear' });
+    assert.strictEqual(again.status, 400);
+
+    const paid = await app.call('POST', `/matches/${matchId}/process-disbursement`, alice);
+    assert.strictEqual(paid.status, 200, JSON.stringify(paid.body));
+    assert.deepStrictEqual((await app.call('GET', '/wallet/balance', bob)).body, start);
+
+    const { body } = await app.call('GET', '/admin/reconciliation', app.admin);
+    assert.deepStrictEqual(body.discrepancies, []);
+  });
+});
@@ -0,0 +1,225 @@
+// DX - Test helpers
+// Runs the real server in a child process against a throwaway data
+// directory, with a local fake of the Lichess API in front of it.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const jwt = require('jsonwebtoken');
+
+const ROOT = path.join(__dirname, '..');
+const JWT_SECRET = 'dx-test-secret';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// HTTP server on a free local port: { url, server, close }
+function serve(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        server,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+// The parts of the Lichess API the server uses. `state.games` are the
+// finished games it serves and `state.challenges` the open challenges it was
+// asked for; every account is old and experienced enough for the trust checks.
+async function startFakeLichess(state = {}) {
+  state.games = state.games || [];
+  state.challenges = state.challenges || [];
+
+  const fake = await serve((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const json = data => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(data));
+      };
+
+      if (url.pathname === '/api/token' && req.method === 'POST') {
+        return json({ access_token: `token_${new URLSearchParams(body).get('code')}` });
+      }
+      if (url.pathname === '/api/challenge/open' && req.method === 'POST') {
+        const fields = Object.fromEntries(new URLSearchParams(body));
+        const id = `open${String(state.challenges.length + 1).padStart(4, '0')}`;
+        state.challenges.push(fields);
+        return json({
+          id,
+          url: `https://lichess.org/${id}`,
+          urlWhite: `https://lichess.org/${id}?color=white`,
+          urlBlack: `https://lichess.org/${id}?color=black`
+        });
+      }
+      if (url.pathname === '/api/account') {
+        const name = req.headers.authorization.replace('Bearer token_', '');
+        return json({ id: name.toLowerCase(), username: name });
+      }
+      if (url.pathname.startsWith('/api/games/user/')) {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        return res.end(state.games.map(game => `${JSON.stringify(game)}\n`).join(''));
+      }
+      if (url.pathname.startsWith('/game/export/')) {
+        const game = state.games.find(g => g.id === url.pathname.split('/').pop());
+        res.statusCode = game ? 200 : 404;
+        return json(game || {});
+      }
+      if (url.pathname.startsWith('/api/user/')) {
+        const name = url.pathname.split('/').pop();
+        const perfs = {};
+        ['bullet', 'blitz', 'rapid', 'classical'].forEach(speed => { perfs[speed] = { games: 500 }; });
+        return json({ id: name.toLowerCase(), username: name, createdAt: Date.now() - 1000 * 24 * 60 * 60 * 1000, perfs });
+      }
+      res.statusCode = 404;
+      json({ error: 'Not found' });
+    });
+  });
+
+  return { ...fake, state };
+}
+
+// Starts server.js; resolves with { call, admin, dataDir, stop }
+async function startApp({ lichess, env = {} } = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dx-test-'));
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      JWT_SECRET,
+      LICHESS_API_BASE: lichess ? `${lichess.url}/api` : 'http://127.0.0.1:9/api',
+      LICHESS_MAX_RETRIES: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  const base = `http://127.0.0.1:${port}/api`;
+
+  async function call(method, route, token, body) {
+    const response = await fetch(base + route, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      redirect: 'manual'
+    });
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      data = text;
+    }
+    return { status: response.status, body: data, headers: response.headers };
+  }
+
+  async function stop() {
+    child.kill();
+    await exited;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${base}/health`);
+      break;
+    } catch (error) {
+      if (attempt >= 100 || child.exitCode !== null) {
+        await stop();
+        throw new Error(`Server did not start:\n${output}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const admin = jwt.sign({ id: 0, username: 'admin', is_admin: 1 }, JWT_SECRET);
+  return { call, admin, dataDir, stop, output: () => output };
+}
+
+// A record as the running server stored it
+function readRecord(app, collection, id) {
+  const db = new Database(path.join(app.dataDir, 'dx.sqlite'), { readonly: true });
+  try {
+    const row = db.prepare(`SELECT data FROM ${collection} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : undefined;
+  } finally {
+    db.close();
+  }
+}
+
+// Registers a user with money in the wallet; resolves with the token
+async function registerUser(call, username, { deposit = 0 } = {}) {
+  const phone = `080${String(Math.floor(Math.random() * 1e8)).padStart(8, '0')}`;
+  const { body } = await call('POST', '/auth/register', null, {
+    username,
+    email: `${username}@example.com`,
+    password: 'secret123',
+    phone,
+    full_name: `${username} Test`
+  });
+  if (deposit > 0) {
+    await call('POST', '/wallet/deposit', body.token, { amount: deposit });
+  }
+  return body.token;
+}
+
+// Goes through the OAuth flow against the fake Lichess
+async function linkLichess(call, token, lichessUsername) {
+  const { body } = await call('POST', '/user/lichess/oauth/start', token);
+  const authorize = new URL(body.authorize_url);
+  const callback = new URL(authorize.searchParams.get('redirect_uri'));
+  callback.searchParams.set('code', lichessUsername);
+  callback.searchParams.set('state', authorize.searchParams.get('state'));
+  await fetch(callback, { redirect: 'manual' });
+}
+
+module.exports = {
+  serve,
+  readFixture,
+  readJsonFixture,
+  startFakeLichess,
+  startApp,
+  readRecord,
+  registerUser,
+  linkLichess
+};
@@ -0,0 +1,65 @@
+// Games opened on Lichess when a challenge is accepted: Lichess seats the
+// first listed player as white, so the order must follow the agreed colors
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeLichess, startApp, readRecord, registerUser, linkLichess } = require('./helpers');
+
+let lichess;
+let app;
+let alice;
+let bob;
+
+before(async () => {
+  lichess = await startFakeLichess();
+  app = await startApp({ lichess, env: { LICHESS_API_TOKEN: 'server-token' } });
+  alice = await registerUser(app.call, 'alice', { deposit: 10000 });
+  bob = await registerUser(app.call, 'bob', { deposit: 10000 });
+  await linkLichess(app.call, alice, 'AliceDX');
+  await linkLichess(app.call, bob, 'BobDX');
+});
+
+after(async () => {
+  await app.stop();
+  await lichess.close();
+});
+
+async function acceptedMatch(color) {
+  const sent = await app.call('POST', '/challenges/send', alice, {
+    opponent_username: 'bob',
+    stake_amount: 1000,
+    time_control: '3+2',
+    color
+  });
+  assert.strictEqual(sent.status, 201, JSON.stringify(sent.body));
+  const accepted = await app.call('POST', `/challenges/${sent.body.challenge.challenge_code}/accept`, bob);
+  assert.strictEqual(accepted.status, 200, JSON.stringify(accepted.body));
+  return readRecord(app, 'matches', accepted.body.match.id);
+}
+
+test('the creator playing white is listed first', async () => {
+  const match = await acceptedMatch('white');
+  const posted = lichess.state.challenges[lichess.state.challenges.length - 1];
+
+  assert.strictEqual(match.creator_color, 'white');
+  assert.strictEqual(posted.users, 'AliceDX,BobDX');
+  assert.match(match.creator_game_url, /color=white/);
+});
+
+test('the creator playing black is listed second', async () => {
+  const match = await acceptedMatch('black');
+  const posted = lichess.state.challenges[lichess.state.challenges.length - 1];
+
+  assert.strictEqual(match.creator_color, 'black');
+  assert.strictEqual(posted.users, 'BobDX,AliceDX');
+  assert.match(match.creator_game_url, /color=black/);
+  assert.match(match.opponent_game_url, /color=white/);
+});
+
+test('a random color still puts white first', async () => {
+  const match = await acceptedMatch('random');
+  const posted = lichess.state.challenges[lichess.state.challenges.length - 1];
+  const white = match.creator_color === 'white' ? 'AliceDX' : 'BobDX';
+
+  assert.strictEqual(posted.users.split(',')[0], white);
+});
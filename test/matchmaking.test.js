@@ -0,0 +1,52 @@
+// The matchmaking queue pairs players on the Lichess account and stake they
+// joined with, so both must stay put while an entry is waiting
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeLichess, startApp, registerUser, linkLichess } = require('./helpers');
+
+let lichess;
+let app;
+let alice;
+
+before(async () => {
+  lichess = await startFakeLichess();
+  app = await startApp({ lichess });
+  alice = await registerUser(app.call, 'alice', { deposit: 5000 });
+  await linkLichess(app.call, alice, 'AliceDX');
+});
+
+after(async () => {
+  await app.stop();
+  await lichess.close();
+});
+
+test('a player waiting in the queue cannot unlink Lichess', async () => {
+  const joined = await app.call('POST', '/matchmaking/join', alice, { stake_amount: 1000, time_control: '3+2' });
+  assert.strictEqual(joined.status, 201, JSON.stringify(joined.body));
+
+  const refused = await app.call('DELETE', '/user/lichess', alice);
+  assert.strictEqual(refused.status, 400);
+  assert.strictEqual(refused.body.error, 'Cannot unlink Lichess while you are in the matchmaking queue');
+
+  const left = await app.call('DELETE', '/matchmaking', alice);
+  assert.strictEqual(left.status, 200, JSON.stringify(left.body));
+
+  const unlinked = await app.call('DELETE', '/user/lichess', alice);
+  assert.strictEqual(unlinked.status, 200, JSON.stringify(unlinked.body));
+  assert.strictEqual((await app.call('DELETE', '/user/lichess', alice)).body.error, 'No Lichess account linked');
+});
+
+test('leaving the queue is refused during maintenance', async () => {
+  await linkLichess(app.call, alice, 'AliceDX');
+  const joined = await app.call('POST', '/matchmaking/join', alice, { stake_amount: 1000, time_control: '3+2' });
+  assert.strictEqual(joined.status, 201, JSON.stringify(joined.body));
+
+  await app.call('POST', '/admin/maintenance', app.admin, { enabled: true });
+  const blocked = await app.call('DELETE', '/matchmaking', alice);
+  await app.call('POST', '/admin/maintenance', app.admin, { enabled: false });
+
+  assert.strictEqual(blocked.status, 503);
+  assert.strictEqual((await app.call('GET', '/wallet/balance', alice)).body.reserved, 1000);
+  assert.strictEqual((await app.call('DELETE', '/matchmaking', alice)).status, 200);
+});
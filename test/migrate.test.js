@@ -0,0 +1,57 @@
+// `npm run migrate -- --dry-run` reports what would change and leaves the
+// data directory exactly as it was
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'migrate.js');
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dx-migrate-'));
+});
+
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function migrate(...args) {
+  return execFileSync(process.execPath, [SCRIPT, ...args], {
+    env: { ...process.env, DATA_DIR: dataDir, DB_DRIVER: 'sqlite' },
+    encoding: 'utf8'
+  });
+}
+
+// Every file in the data directory with its contents
+function snapshot() {
+  return Object.fromEntries(fs.readdirSync(dataDir).map(name => [name, fs.readFileSync(path.join(dataDir, name), 'hex')]));
+}
+
+test('a dry run on a legacy db.json creates no database', () => {
+  fs.writeFileSync(path.join(dataDir, 'db.json'), JSON.stringify({
+    users: [{ id: 1, username: 'legacy', wallet_balance: 1000 }]
+  }));
+  const before = snapshot();
+
+  const output = migrate('--dry-run');
+
+  assert.match(output, /Would migrate schema 0 -> \d+/);
+  assert.deepStrictEqual(snapshot(), before);
+});
+
+test('a dry run on an existing database leaves it untouched', () => {
+  const store = createStore({ dataDir });
+  store.insert('users', { username: 'alice', wallet_balance: 1000 });
+  store.close();
+  const before = snapshot();
+
+  assert.match(migrate('--dry-run'), /Would migrate schema 0 -> \d+/);
+  assert.deepStrictEqual(snapshot(), before);
+
+  assert.match(migrate(), /Migrated schema 0 -> \d+/);
+  assert.match(migrate('--dry-run'), /Schema is up to date/);
+});
@@ -0,0 +1,203 @@
+// Both game providers against recorded Lichess and Chess.com responses:
+// linked accounts, finding the game that settles a match, and trust checks
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createLichessClient } = require('../lib/lichess/client');
+const { createLichessProvider } = require('../lib/lichess/provider');
+const { createChesscomClient, ChesscomNotFoundError } = require('../lib/chesscom/client');
+const { createChesscomProvider } = require('../lib/chesscom/provider');
+const { normalizeGame } = require('../lib/chesscom/games');
+const { gameOutcome } = require('../lib/lichess/eligibility');
+const { createTrustChecker } = require('../lib/providers/trust');
+const { serve, readFixture } = require('./helpers');
+
+// Request path -> recorded response
+const RECORDED = {
+  '/lichess/api/user/AliceDX': 'lichess/user-alicedx.json',
+  '/lichess/api/user/ClosedGuy': 'lichess/user-closed.json',
+  '/lichess/api/user/CheaterDX': 'lichess/user-tos.json',
+  '/lichess/api/games/user/AliceDX': 'lichess/games-alicedx-vs-bobdx.ndjson',
+  '/chesscom/pub/player/alice_cc': 'chesscom/player-alice_cc.json',
+  '/chesscom/pub/player/alice_cc/stats': 'chesscom/stats-alice_cc.json',
+  '/chesscom/pub/player/alice_cc/games/2024/05': 'chesscom/games-alice_cc-2024-05.json',
+  '/chesscom/pub/player/banned_cc': 'chesscom/player-banned_cc.json',
+  '/chesscom/pub/player/banned_cc/stats': 'chesscom/stats-banned_cc.json'
+};
+
+let server;
+let lichess;
+let chesscom;
+
+before(async () => {
+  server = await serve((req, res) => {
+    const fixture = RECORDED[new URL(req.url, 'http://localhost').pathname];
+    if (!fixture) {
+      res.statusCode = 404;
+      return res.end('{}');
+    }
+    res.setHeader('Content-Type', fixture.endsWith('.ndjson') ? 'application/x-ndjson' : 'application/json');
+    res.end(readFixture(fixture));
+  });
+
+  lichess = createLichessProvider({
+    client: createLichessClient({ apiBase: `${server.url}/lichess/api`, siteBase: `${server.url}/lichess`, maxRetries: 0 })
+  });
+  chesscom = createChesscomProvider({
+    client: createChesscomClient({ apiBase: `${server.url}/chesscom/pub`, maxRetries: 0 })
+  });
+});
+
+after(() => server.close());
+
+const codes = problems => problems.map(p => p.code);
+
+describe('Lichess', () => {
+  const terms = {
+    players: ['AliceDX', 'BobDX'],
+    timeControl: '3+2',
+    rated: false,
+    variant: 'standard',
+    creatorColor: 'white',
+    startedAt: new Date(1715709000000).toISOString()
+  };
+
+  test('account reads the verified OAuth link', () => {
+    assert.deepStrictEqual(lichess.account({ lichess_username: 'AliceDX', lichess_verified: 1 }), { username: 'AliceDX', verified: true });
+    assert.deepStrictEqual(lichess.account({ lichess_username: 'AliceDX', lichess_verified: 0 }), { username: 'AliceDX', verified: false });
+    assert.deepStrictEqual(lichess.account(null), { username: null, verified: false });
+  });
+
+  test('findGame skips the aborted game and returns the one that settles', async () => {
+    const game = await lichess.findGame(terms);
+
+    assert.strictEqual(game.id, 'q7ZvsdUF');
+    assert.strictEqual(game.winner, 'white');
+  });
+
+  test('findGame finds nothing when no game fits the terms', async () => {
+    assert.strictEqual(await lichess.findGame({ ...terms, creatorColor: 'black' }), null);
+    assert.strictEqual(await lichess.findGame({ ...terms, usedGameIds: ['q7ZvsdUF'] }), null);
+  });
+
+  test('trust checks count rated games by speed, or by variant', async () => {
+    const trust = createTrustChecker({ provider: lichess });
+
+    assert.deepStrictEqual(await trust.checkAccount('AliceDX', '3+2'), []);
+    assert.deepStrictEqual(await trust.checkAccount('AliceDX', '3+2', 'chess960'), []);
+
+    const [crazyhouse] = await trust.checkAccount('AliceDX', '3+2', 'crazyhouse');
+    assert.strictEqual(crazyhouse.code, 'too_few_games');
+    assert.match(crazyhouse.message, /4 rated crazyhouse games/);
+
+    assert.deepStrictEqual(codes(await trust.checkAccount('AliceDX', '30+0')), ['too_few_games']);
+  });
+
+  test('trust checks refuse closed, flagged and missing accounts', async () => {
+    const trust = createTrustChecker({ provider: lichess, action: 'flag' });
+
+    assert.deepStrictEqual(codes(await trust.checkAccount('ClosedGuy', '3+2')), ['account_closed']);
+    assert.deepStrictEqual(codes(await trust.checkAccount('CheaterDX', '3+2')), ['tos_violation']);
+    assert.deepStrictEqual(codes(await trust.checkAccount('Ghost', '3+2')), ['account_not_found']);
+
+    const { allowed, reasons } = await trust.checkPlayers(['AliceDX', 'CheaterDX'], '3+2');
+    assert.strictEqual(allowed, false);
+    assert.strictEqual(reasons[0].severity, 'block');
+  });
+
+  test('soft problems only block when the action is block', async () => {
+    const flagged = await createTrustChecker({ provider: lichess, action: 'flag' }).checkPlayers(['AliceDX'], '30+0');
+    assert.strictEqual(flagged.allowed, true);
+    assert.deepStrictEqual(codes(flagged.reasons), ['too_few_games']);
+
+    const blocked = await createTrustChecker({ provider: lichess, action: 'block' }).checkPlayers(['AliceDX'], '30+0');
+    assert.strictEqual(blocked.allowed, false);
+  });
+});
+
+describe('Chess.com', () => {
+  // After alice_cc's game against carol_cc, before the two against Bob_CC
+  const terms = {
+    players: ['alice_cc', 'bob_cc'],
+    timeControl: '3+2',
+    rated: false,
+    variant: 'standard',
+    creatorColor: null,
+    startedAt: '2024-05-14T17:50:00Z'
+  };
+
+  test('account reads the verified profile-code link', () => {
+    assert.deepStrictEqual(chesscom.account({ chesscom_username: 'alice_cc', chesscom_verified: 1 }), { username: 'alice_cc', verified: true });
+    assert.deepStrictEqual(chesscom.account({ chesscom_username: 'alice_cc' }), { username: 'alice_cc', verified: false });
+  });
+
+  test('verifyProfileCode looks for the code in the Location field', async () => {
+    assert.strictEqual(await chesscom.verifyProfileCode('Alice_CC', 'DX-7Q2K9ZPA'), 'alice_cc');
+    assert.strictEqual(await chesscom.verifyProfileCode('Alice_CC', 'DX-00000000'), null);
+  });
+
+  test('findGame normalizes the archive game that settles the match', async () => {
+    const game = await chesscom.findGame(terms);
+
+    assert.strictEqual(game.id, '108234567002');
+    assert.strictEqual(game.status, 'resign');
+    assert.strictEqual(game.winner, 'black');
+    assert.strictEqual(game.players.black.user.id, 'bob_cc');
+    assert.deepStrictEqual(game.clock, { initial: 180, increment: 2 });
+    assert.strictEqual(game.createdAt, Date.parse('2024-05-14T18:02:11Z'));
+    assert.strictEqual(game.moves, 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7');
+  });
+
+  test('findGame matches variants and finds nothing outside the terms', async () => {
+    const game = await chesscom.findGame({ ...terms, variant: 'chess960' });
+    assert.strictEqual(game.id, '108234567003');
+    assert.strictEqual(game.status, 'draw');
+    assert.strictEqual(game.winner, undefined);
+
+    assert.strictEqual(await chesscom.findGame({ ...terms, rated: true }), null);
+    assert.strictEqual(await chesscom.findGame({ ...terms, creatorColor: 'black' }), null);
+  });
+
+  test('every Chess.com result code settles as expected', () => {
+    const [archived] = JSON.parse(readFixture('chesscom/games-alice_cc-2024-05.json')).games;
+    const ended = (white, black) => gameOutcome(normalizeGame({
+      ...archived,
+      white: { ...archived.white, result: white },
+      black: { ...archived.black, result: black }
+    }));
+
+    ['checkmated', 'resigned', 'timeout', 'abandoned', 'lose', 'threecheck', 'kingofthehill'].forEach(result => {
+      assert.deepStrictEqual(ended('win', result), { result: 'white' }, result);
+      assert.deepStrictEqual(ended(result, 'win'), { result: 'black' }, result);
+    });
+    ['stalemate', 'agreed', 'repetition', 'insufficient', '50move', 'timevsinsufficient'].forEach(result => {
+      assert.deepStrictEqual(ended(result, result), { result: 'draw' }, result);
+    });
+
+    assert.strictEqual(ended('win', 'bogus').reason.code, 'unknown_status');
+  });
+
+  test('getGame searches the match players\' archive', async () => {
+    assert.strictEqual((await chesscom.getGame('108234567003', terms)).variant, 'chess960');
+    await assert.rejects(chesscom.getGame('108234567001', terms), ChesscomNotFoundError);
+  });
+
+  test('trust checks judge variant games on the speed\'s game count', async () => {
+    const trust = createTrustChecker({ provider: chesscom });
+
+    assert.deepStrictEqual(await trust.checkAccount('alice_cc', '3+2'), []);
+    assert.deepStrictEqual(await trust.checkAccount('alice_cc', '3+2', 'chess960'), []);
+
+    // Rapid and classical both come from the rapid record: 14 games
+    const [rapid] = await trust.checkAccount('alice_cc', '30+0');
+    assert.strictEqual(rapid.code, 'too_few_games');
+    assert.match(rapid.message, /14 rated classical games/);
+  });
+
+  test('trust checks refuse accounts closed for fair-play violations', async () => {
+    const trust = createTrustChecker({ provider: chesscom, action: 'flag' });
+
+    assert.deepStrictEqual(codes(await trust.checkAccount('banned_cc', '3+2')), ['account_closed']);
+    assert.deepStrictEqual(codes(await trust.checkAccount('nobody_cc', '3+2')), ['account_not_found']);
+  });
+});
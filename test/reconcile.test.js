@@ -0,0 +1,49 @@
+// Reconciliation replays the transactions history, which may hold rows
+// written before amounts were validated
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { createLedger, ACCOUNTS } = require('../lib/ledger');
+const { reconcile } = require('../lib/reconcile');
+
+let dataDir;
+let store;
+let ledger;
+let user;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dx-reconcile-'));
+  store = createStore({ driver: 'json', dataDir });
+  ledger = createLedger(store);
+  user = store.insert('users', { username: 'alice', wallet_balance: 0, reserved_balance: 0, locked_balance: 0 });
+});
+
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// A deposit as the wallet route books it, with the amount the row records
+function deposit(amount, recorded = amount) {
+  const reference_id = `DEP${amount}`;
+  ledger.transfer(ACCOUNTS.GATEWAY, ACCOUNTS.available(user.id), amount, { type: 'deposit', reference_id });
+  return store.insert('transactions', { user_id: user.id, type: 'deposit', amount: recorded, reference_id, status: 'completed' });
+}
+
+test('string amounts replay as numbers', () => {
+  deposit(1000, '1000');
+  deposit(500);
+
+  assert.deepStrictEqual(reconcile(store, ledger).discrepancies, []);
+});
+
+test('non-numeric amounts are reported on their own', () => {
+  deposit(1000);
+  const bad = deposit(500, 'abc');
+
+  const [invalid] = reconcile(store, ledger).discrepancies;
+  assert.strictEqual(invalid.type, 'invalid_transaction_amount');
+  assert.deepStrictEqual(invalid.transaction_ids, [bad.id]);
+  assert.match(invalid.message, /non-numeric amount "abc"/);
+});
@@ -0,0 +1,47 @@
+// Both storage backends must behave alike, including on rows written before
+// records carried a version
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { ConflictError } = require('../lib/errors');
+
+['sqlite', 'json'].forEach(driver => {
+  describe(`${driver} update`, () => {
+    let dataDir;
+    let store;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dx-storage-'));
+      store = createStore({ driver, dataDir });
+    });
+
+    afterEach(() => {
+      store.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('a stale expected version is a conflict', () => {
+      const user = store.insert('users', { username: 'alice', wallet_balance: 0 });
+      store.update('users', user.id, { wallet_balance: 100 }, { expectedVersion: user.version });
+
+      assert.throws(() => store.update('users', user.id, { wallet_balance: 200 }, { expectedVersion: user.version }), ConflictError);
+      assert.strictEqual(store.findById('users', user.id).wallet_balance, 100);
+    });
+
+    test('rows without a version are still checked', () => {
+      store.importData({ users: [{ id: 1, username: 'legacy', wallet_balance: 0 }] });
+      const legacy = store.findById('users', 1);
+      assert.strictEqual(legacy.version, undefined);
+
+      const updated = store.update('users', 1, { wallet_balance: 100 }, { expectedVersion: legacy.version });
+      assert.strictEqual(updated.version, 1);
+
+      assert.throws(() => store.update('users', 1, { wallet_balance: 200 }, { expectedVersion: legacy.version }), ConflictError);
+      assert.strictEqual(store.findById('users', 1).wallet_balance, 100);
+    });
+  });
+});
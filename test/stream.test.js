@@ -0,0 +1,146 @@
+// Following a Lichess game stream, served by a local NDJSON fake that can
+// drop the connection or go silent part way through a recorded game
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createLichessClient } = require('../lib/lichess/client');
+const { createGameStreamer } = require('../lib/lichess/stream');
+const { serve, readFixture } = require('./helpers');
+
+const GAME_ID = 'Tq8Lm2Zx';
+const lines = readFixture('lichess/stream-game.ndjson').trim().split('\n').map(line => JSON.parse(line));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every connection to the stream runs the next of `connections`:
+// async (send, res) => {}. Resolves with { url, opened, closed, close }.
+async function startStreamServer(connections) {
+  const stats = { opened: 0, closed: 0 };
+  const fake = await serve(async (req, res) => {
+    if (req.url !== `/api/stream/game/${GAME_ID}`) {
+      res.statusCode = 404;
+      return res.end('{}');
+    }
+
+    const script = connections[Math.min(stats.opened, connections.length - 1)];
+    stats.opened++;
+    req.on('close', () => { stats.closed++; });
+
+    if (typeof script === 'number') {
+      res.statusCode = script;
+      return res.end('{}');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    await script(message => res.write(`${JSON.stringify(message)}\n`), res);
+  });
+  return Object.assign(stats, { url: fake.url, close: fake.close });
+}
+
+// Sends the messages a few milliseconds apart, like a game in progress
+async function play(send, messages) {
+  for (const message of messages) {
+    send(message);
+    await sleep(5);
+  }
+}
+
+function following(server, options = {}) {
+  const client = createLichessClient({ apiBase: `${server.url}/api`, siteBase: server.url, timeoutMs: 2000 });
+  const streamer = createGameStreamer({ client, reconnectBaseMs: 10, reconnectMaxMs: 50, ...options });
+  const updates = [];
+  const ended = new Promise(resolve => {
+    streamer.follow(GAME_ID, { onUpdate: live => updates.push(live), onEnd: resolve });
+  });
+  return { streamer, updates, ended };
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await sleep(10);
+  }
+}
+
+let server;
+
+afterEach(async () => {
+  if (server) await server.close();
+  server = null;
+});
+
+test('records every move and ends once the game is over', async () => {
+  server = await startStreamServer([send => play(send, lines)]);
+  const { streamer, updates, ended } = following(server);
+
+  const live = await ended;
+
+  assert.strictEqual(updates.length, lines.length);
+  assert.deepStrictEqual(updates.slice(1, 4).map(u => u.ply), [1, 2, 3]);
+  assert.strictEqual(live.status, 'mate');
+  assert.strictEqual(live.winner, 'white');
+  assert.strictEqual(live.ply, 7);
+  assert.strictEqual(live.last_move, 'h5f7');
+  assert.strictEqual(live.white_clock, 168);
+  assert.deepStrictEqual(streamer.following(), []);
+  assert.strictEqual(server.opened, 1);
+});
+
+test('reconnects after a dropped connection and resyncs from the full game', async () => {
+  server = await startStreamServer([
+    async (send, res) => {
+      await play(send, lines.slice(0, 4));
+      res.destroy();
+    },
+    // Lichess starts every connection with the game as it stands
+    send => play(send, [{ ...lines[0], turns: 3, fen: lines[3].fen }, ...lines.slice(4)])
+  ]);
+  const { updates, ended } = following(server);
+
+  const live = await ended;
+
+  assert.strictEqual(server.opened, 2);
+  assert.strictEqual(live.ply, 7);
+  assert.strictEqual(live.status, 'mate');
+  assert.strictEqual(updates.filter(u => u.status === 'mate').length, 1);
+});
+
+test('reconnects when the stream goes silent', async () => {
+  server = await startStreamServer([
+    // Sends the game, then nothing; the connection stays open
+    send => send(lines[0]),
+    send => play(send, lines)
+  ]);
+  const { ended } = following(server, { idleTimeoutMs: 100 });
+
+  const live = await ended;
+
+  assert.strictEqual(server.opened, 2);
+  assert.strictEqual(live.status, 'mate');
+});
+
+test('gives up on a game Lichess keeps reporting as missing', async () => {
+  server = await startStreamServer([404]);
+  let endCalled = false;
+  const client = createLichessClient({ apiBase: `${server.url}/api`, siteBase: server.url, timeoutMs: 2000 });
+  const streamer = createGameStreamer({ client, reconnectBaseMs: 5, reconnectMaxMs: 5 });
+  streamer.follow(GAME_ID, { onEnd: () => { endCalled = true; } });
+
+  await waitFor(() => streamer.following().length === 0);
+
+  assert.strictEqual(server.opened, 6);
+  assert.strictEqual(endCalled, false);
+});
+
+test('stop closes the open connection', async () => {
+  server = await startStreamServer([send => send(lines[0])]);
+  const { streamer, updates } = following(server);
+
+  await waitFor(() => updates.length === 1);
+  streamer.stop(GAME_ID);
+  await waitFor(() => server.closed === 1);
+
+  assert.deepStrictEqual(streamer.following(), []);
+  await sleep(50);
+  assert.strictEqual(server.opened, 1);
+});
@@ -0,0 +1,79 @@
+// Time controls are free text from players and shown to other players, so
+// every route that takes one accepts only "minutes+increment" within limits
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { isValidTimeControl } = require('../lib/lichess/games');
+const { startFakeLichess, startApp, registerUser, linkLichess } = require('./helpers');
+
+const REJECTED = [
+  '3+2+<img src=x onerror=alert(1)>',
+  '<b>3</b>+2',
+  '-5+0',
+  '0+0',
+  '1e9+0',
+  '3.5+0',
+  '181+0',
+  '3+181',
+  '1000+0',
+  '3',
+  '3+',
+  ' 3+2',
+  ''
+];
+
+test('isValidTimeControl accepts whole minutes and seconds within limits', () => {
+  ['3+2', '0+1', '1+0', '15+10', '180+180'].forEach(tc => assert.strictEqual(isValidTimeControl(tc), true, tc));
+});
+
+test('isValidTimeControl rejects anything else', () => {
+  [...REJECTED, null, undefined, 3, ['3+2']].forEach(tc => assert.strictEqual(isValidTimeControl(tc), false, String(tc)));
+});
+
+describe('routes taking a time control', () => {
+  let lichess;
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    lichess = await startFakeLichess();
+    app = await startApp({ lichess });
+    alice = await registerUser(app.call, 'alice', { deposit: 10000 });
+    bob = await registerUser(app.call, 'bob', { deposit: 10000 });
+    await linkLichess(app.call, alice, 'AliceDX');
+    await linkLichess(app.call, bob, 'BobDX');
+  });
+
+  after(async () => {
+    await app.stop();
+    await lichess.close();
+  });
+
+  async function assertRejected(route, token, body) {
+    for (const tc of REJECTED) {
+      const { status, body: response } = await app.call('POST', route, token, { ...body, time_control: tc });
+      assert.strictEqual(status, 400, `${route} ${tc}`);
+      assert.match(response.error, /^Time control must be/, `${route} ${tc}`);
+    }
+  }
+
+  test('sending a challenge', async () => {
+    await assertRejected('/challenges/send', alice, { opponent_username: 'bob', stake_amount: 1000 });
+    await assertRejected('/challenges/send', alice, { stake_amount: 1000 });
+
+    const { body } = await app.call('GET', '/challenges/open', bob);
+    assert.deepStrictEqual(body, []);
+  });
+
+  test('countering a challenge', async () => {
+    const sent = await app.call('POST', '/challenges/send', alice, { opponent_username: 'bob', stake_amount: 1000, time_control: '3+2' });
+    assert.strictEqual(sent.status, 201, JSON.stringify(sent.body));
+
+    await assertRejected(`/challenges/${sent.body.challenge.challenge_code}/counter`, bob, {});
+  });
+
+  test('joining the matchmaking queue', async () => {
+    await assertRejected('/matchmaking/join', alice, { stake_amount: 1000 });
+  });
+});
@@ -0,0 +1,81 @@
+// Wallet amounts come straight from request bodies, so anything that is not
+// a whole number of naira is refused before it reaches the ledger
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { createLedger, LedgerError, ACCOUNTS } = require('../lib/ledger');
+const { startApp, registerUser } = require('./helpers');
+
+const BAD_AMOUNTS = ['abc', '1000', 1000.5, -1000, 0, null, [1000], { amount: 1000 }];
+
+describe('wallet routes', () => {
+  let app;
+  let alice;
+
+  before(async () => {
+    app = await startApp();
+    alice = await registerUser(app.call, 'alice', { deposit: 5000 });
+  });
+
+  after(() => app.stop());
+
+  test('deposits and withdrawals refuse amounts that are not whole naira', async () => {
+    for (const amount of BAD_AMOUNTS) {
+      for (const route of ['/wallet/deposit', '/wallet/withdraw']) {
+        const { status, body } = await app.call('POST', route, alice, { amount });
+        assert.strictEqual(status, 400, `${route} ${JSON.stringify(amount)}`);
+        assert.strictEqual(body.error, 'Amount must be a whole number of naira');
+      }
+    }
+
+    const { body } = await app.call('GET', '/wallet/balance', alice);
+    assert.strictEqual(body.available, 5000);
+  });
+
+  test('minimums still apply to whole amounts', async () => {
+    assert.strictEqual((await app.call('POST', '/wallet/deposit', alice, { amount: 99 })).body.error, 'Minimum deposit is ₦100');
+    assert.strictEqual((await app.call('POST', '/wallet/withdraw', alice, { amount: 499 })).body.error, 'Minimum withdrawal is ₦500');
+  });
+});
+
+describe('ledger postings', () => {
+  let dataDir;
+  let ledger;
+  let user;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dx-ledger-'));
+    const store = createStore({ driver: 'json', dataDir });
+    ledger = createLedger(store);
+    user = store.insert('users', { username: 'alice', wallet_balance: 0, reserved_balance: 0, locked_balance: 0 });
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  test('refuses legs that are not finite numbers', () => {
+    ['1000', NaN, Infinity, undefined].forEach(amount => {
+      assert.throws(() => ledger.post({
+        type: 'deposit',
+        reference_id: 'DEP1',
+        legs: [
+          { account: ACCOUNTS.GATEWAY, amount: -1000 },
+          { account: ACCOUNTS.available(user.id), amount }
+        ]
+      }), LedgerError, String(amount));
+    });
+  });
+
+  test('refuses transfers of anything but a positive amount', () => {
+    ['abc', '1000', NaN, 0, -1000].forEach(amount => {
+      assert.throws(() => ledger.transfer(ACCOUNTS.GATEWAY, ACCOUNTS.available(user.id), amount, {
+        type: 'deposit',
+        reference_id: 'DEP1'
+      }), LedgerError, String(amount));
+    });
+    assert.strictEqual(ledger.balance(ACCOUNTS.available(user.id)), 0);
+  });
+});